@@ -3,32 +3,277 @@
 "use strict";
 
 const mysql = require('mysql'),
+      EventEmitter = require('events'),
       fs = require('fs'),
-      path = require('path'),
-      firstline = require('firstline'),
+      crypto = require('crypto'),
       async = require('async'),
-      _ = require('lodash');
+      _ = require('lodash'),
+      RecordParser = require('./lib/parser').RecordParser,
+      RowWriter = require('./lib/writer').RowWriter,
+      PartWriter = require('./lib/writer').PartWriter,
+      JsonValue = require('./lib/writer').JsonValue,
+      FORMATS = require('./lib/writer').FORMATS,
+      inferColumns = require('./lib/infer').inferColumns,
+      schema = require('./lib/schema'),
+      merger = require('./lib/merge'),
+      Logger = require('./lib/logger').Logger,
+      profile = require('./lib/profile'),
+      compress = require('./lib/compress'),
+      transform = require('./lib/transform'),
+      json = require('./lib/json'),
+      differ = require('./lib/diff'),
+      deduper = require('./lib/dedupe');
 
-module.exports = class MySQL {
+// Errors MySQL returns when LOAD DATA LOCAL INFILE is turned off on the server or the connection
+// 1148 ER_NOT_ALLOWED_COMMAND, 3948 ER_CLIENT_LOCAL_FILES_DISABLED, 3950 ER_LOAD_DATA_LOCAL_INFILE_DISABLED
+const LOCAL_INFILE_DISABLED = [1148, 3948, 3950],
+      // The mysql driver's own error, with a code and no errno, when the server asks for the file of a connection without the LOCAL_FILES flag
+      LOCAL_FILES_DISABLED = 'LOCAL_FILES_DISABLED',
+      DEFAULT = mysql.raw('DEFAULT'),
+      // Rows between progress events of a streamed export
+      PROGRESS_ROWS = 1000,
+      // How importFileToTable handles a file whose headers don't match the table, see detectDrift
+      DRIFT_POLICIES = ['fail', 'ignore-extra', 'auto-add-columns', 'position'],
+      // Types written into JSON exports as they are, numbers and JSON columns, everything else is a string
+      JSON_TYPES = ['DECIMAL', 'NEWDECIMAL', 'TINY', 'SHORT', 'LONG', 'INT24', 'LONGLONG', 'FLOAT', 'DOUBLE', 'YEAR', 'JSON'];
+
+/**
+ * asText
+ * typeCast that reads every value as the text MySQL sent, so exported dates, decimals
+ * and big integers come out exactly as SELECT INTO OUTFILE would write them
+ */
+const asText = function(field) {
+    return field.string();
+};
+
+/**
+ * asJson
+ * typeCast for JSON exports, like asText but numbers and JSON columns are marked to be written without quotes
+ */
+const asJson = function(field) {
+    let text = field.string();
+    if(text === null || !_.includes(JSON_TYPES, field.type)) return text;
+    return new JsonValue(text);
+};
+
+/**
+ * prefixColumn
+ * Column name with the prefix asked for by prependHeaders, true prefixes with the table name, a string is the prefix itself
+ * @param  {bool | string} prependHeaders
+ * @param  {string}        table  Table the column belongs to
+ * @param  {string}        name   Column name
+ * @return {string}               ex: contacts_firstName
+ */
+const prefixColumn = function(prependHeaders, table, name) {
+    if(!prependHeaders) return name;
+    return (_.isString(prependHeaders) ? prependHeaders : schema.splitTable(table).name) + '_' + _.camelCase(name);
+};
+
+/**
+ * pinned
+ * A copy of the instance that runs everything on the one connection given
+ * TEMPORARY tables only exist on the connection that created them, so work on them has to stay on it.
+ * release() does nothing on the copy, whoever acquired the connection releases it.
+ * @param  {object} instance MySQL class instance
+ * @param  {object} db       Connection from the pool
+ * @return {object}          Instance using db for every query
+ */
+const pinned = function(instance, db) {
+    let scope = Object.create(instance),
+        connection = Object.create(db);
+    connection.release = function(){};
+    connection.destroy = function(){ db.destroy(); };
+    scope.getConnection = function(){
+        return Promise.resolve(connection);
+    };
+    return scope;
+};
+
+/**
+ * cleanup
+ * Drops the tables left over by a load or a merge, see dropTable, and emits a cleanup event
+ * @param  {object}         instance MySQL class instance
+ * @param  {string | array} tables   Table or tables to drop
+ * @return {Promise}                 Resolves when the tables are gone
+ */
+const cleanup = function(instance, tables) {
+    let started = Date.now();
+    tables = _.concat([], tables);
+    return instance.dropTable(tables)
+    .then(function(){
+        instance.emit('cleanup', {tables: tables, duration: Date.now() - started});
+    });
+};
+
+/**
+ * uniqueKeys
+ * PRIMARY and UNIQUE keys of a table
+ * @param  {object} instance MySQL class instance, or a scope pinned to a connection
+ * @param  {string} table    Name of the table
+ * @return {Promise | object} Columns of each key in index order, by key name
+ */
+const uniqueKeys = function(instance, table) {
+    return instance.query('SHOW INDEX FROM ?? WHERE Non_unique = 0', table)
+    .then(function(indexes){
+        return _.mapValues(_.groupBy(indexes, 'Key_name'), function(parts){
+            return _.map(_.sortBy(parts, 'Seq_in_index'), 'Column_name');
+        });
+    });
+};
+
+/**
+ * scanFile
+ * Streams every record of a delimited file through onRecord, the header row is line 1
+ * @param  {string}   filepath  Path of the file
+ * @param  {object}   options   Same options as the parser's Tokenizer, plus the compression of the file, see openFile in lib/compress.js
+ * @param  {function} onRecord  Called with (record, line) for each record, including the header row
+ * @return {Promise | Number}   Resolves with the number of records read
+ */
+const scanFile = function(filepath, options, onRecord) {
+    return new Promise(function(resolve,reject){
+        let input = compress.openFile(filepath, {compression: options.compression}).input,
+            parser = new RecordParser(_.omit(options, 'compression')),
+            count = 0;
+        input.on('error', reject);
+        parser.on('error', reject);
+        parser.on('data', function(record){
+            count++;
+            try {
+                // The line the record starts on, blank lines and quoted line breaks included
+                onRecord(record, record.line);
+            } catch(err) {
+                input.destroy();
+                parser.destroy();
+                reject(err);
+            }
+        });
+        parser.on('end', function(){
+            resolve(count);
+        });
+        input.pipe(parser);
+    });
+};
+
+/**
+ * checkFile
+ * Validates a file for an import before any table is touched, see validateFile
+ * @param  {object} instance  MySQL class instance
+ * @param  {string} method    Name of the import, for the error message
+ * @param  {string} filepath  Path of the file
+ * @param  {object} [validate] {required, rules, maxErrors, sanitize}, nothing is checked when empty
+ * @param  {object} options   Parser options of the import {delimiter, quotes, escape, newline}
+ * @return {Promise}          Resolves when valid, rejects with the validation result on err.report otherwise
+ */
+const checkFile = function(instance, method, filepath, validate, options) {
+    if(!validate) return Promise.resolve(null);
+    return instance.validateFile(_.assign({}, validate, options, {filepath: filepath}))
+    .then(function(result){
+        if(result.valid) return result;
+        let err = new Error(`MySQL Class / ${method} Method - ${filepath} failed validation with ${result.errorCount} errors`);
+        err.report = result;
+        throw err;
+    });
+};
+
+/**
+ * fromJson
+ * Converts a JSON or NDJSON file to a tab separated file and imports that, see lib/json.js
+ * The columns are the flattened keys of a sample of the records. The converted file is always removed.
+ * @param  {object}   instance  MySQL class instance
+ * @param  {string}   method    Name of the import, for the error message
+ * @param  {string}   filepath  Path of the file
+ * @param  {object}   options   {format, separator, sample, compression}
+ * @param  {function} load      Called with the converted file's path and {keys, arrays, records} of the sample, returns the import's promise
+ * @return {Promise}            Resolves with what load resolves
+ */
+const fromJson = function(instance, method, filepath, options, load) {
+    let converted = null;
+    let remove = function(){
+        return new Promise(function(resolve){
+            if(!converted) return resolve();
+            fs.unlink(converted.path, function(){ resolve(); });
+        });
+    };
+
+    return json.sampleKeys(filepath, options)
+    .then(function(sampled){
+        return json.convertFile(filepath, sampled.keys, options)
+        .then(function(result){
+            converted = result;
+            instance.logger.debug('Converted JSON file', {file: filepath, format: options.format, records: result.records, copy: result.path});
+            if(!_.isEmpty(result.skipped)) instance.logger.warn('Keys not found in the sampled records were left out', {file: filepath, skipped: result.skipped});
+            return load(result.path, sampled);
+        }, function(err){
+            throw new Error(`MySQL Class / ${method} Method - Could not read ${filepath}: ${err.message}`);
+        });
+    }, function(err){
+        throw new Error(`MySQL Class / ${method} Method - Could not read ${filepath}: ${err.message}`);
+    })
+    .then(function(results){
+        return remove().then(function(){ return results; });
+    }, function(err){
+        return remove().then(function(){ throw err; });
+    });
+};
+
+// The tab separated text fromJson converts to, with the LOAD DATA defaults
+const CONVERTED = {format: 'csv', delimiter: "\t", quotes: '', escape: "\\", newline: "\n", compression: 'none'};
+
+/**
+ * showWarnings
+ * Reads the warnings of the last statement run on a connection
+ * Warnings only live until the next statement, so this must run on the same connection right after the load.
+ * MySQL keeps at most max_error_count warnings, the statement's warningCount has the full count.
+ * @param  {object} db           Connection the statement ran on
+ * @param  {Number} [offset=0]   Added to the row number of each warning to get the line in the file
+ * @return {Promise | array}     [{level, code, message, line, column}], line and column are null when the warning doesn't name them
+ */
+const showWarnings = function(db, offset = 0) {
+    return new Promise(function(resolve,reject){
+        db.query('SHOW WARNINGS', function(err, warnings){
+            if(err) return reject(err);
+            resolve(warnings.map(function(warning){
+                let row = warning.Message.match(/\brow (\d+)/i),
+                    column = warning.Message.match(/column '([^']*)'/i);
+                return {
+                    level: warning.Level,
+                    code: warning.Code,
+                    message: warning.Message,
+                    line: row ? offset + Number(row[1]) : null,
+                    column: column ? column[1] : null
+                };
+            }));
+        });
+    });
+};
+
+module.exports = class MySQL extends EventEmitter {
     /**
      * Constructor
      * Creates a connection pool for calls to be made
+     * The instance is an EventEmitter, long running methods emit their phases and progress:
+     * staging-created, load-started, progress, load-finished, swapped, merged, exported and cleanup. See the readme for the payloads.
      * @param  {string} connection Mysql connection string to mysql db
      * @param  {object} connection Mysql connection object to mysql db
+     * @param  {object} [logger=console]  console, winston, pino or any object with error, warn, info and debug methods, see lib/logger.js
+     * @param  {String} [logLevel="silent"] Most detailed level logged: "silent", "error", "warn", "info" or "debug". Nothing is logged by default, like before setDebug
+     * @param  {bool}   [logSql=false]    Log every statement run, at debug level
+     * @param  {bool}   [redactSql=true]  Replace the values in logged statements with ?
      */
-    constructor (connection) {
+    constructor (connection, {logger = console, logLevel = 'silent', logSql = false, redactSql = true} = {}) {
+        super();
         if(!_.isString(connection) && !_.isObject(connection)) throw new Error('Mysql Class / Constructor - Please provide a connect string or connection object https://github.com/mysqljs/mysql#introduction');
         this.pool = mysql.createPool(connection);
-        this.debug = false;
-        this.log = console.log;
+        this.logger = new Logger({logger: logger, level: logLevel, logSql: logSql, redactSql: redactSql});
     }
     
     /**
      * Set Debug
+     * Logs everything down to debug level, to winston when it is passed
      */
     setDebug(winston = null) {
-        this.debug = true;
-        if(winston) this.log = winston.debug;
+        if(winston) this.logger.target = winston;
+        this.logger.setLevel('debug');
     }
     
     /** 
@@ -67,35 +312,110 @@ module.exports = class MySQL {
      */
     query(command, ...variables) {
         const self = this;
-        return new Promise(function(resolve,reject){
-            self.getConnection()
-            .then(function(db){
+        return self.withConnection(function(scope, db){
+            return new Promise(function(resolve,reject){
                 let sql = db.format(command, [...variables]);
+                self.logger.sql(sql);
                 db.query(sql, function(err,response){
-                    if(err && self.debug) self.log(err);
+                    if(err) self.logger.debug('Query failed', {error: err.message, code: err.code});
                     if(err) return reject(err);
-                    db.release();
                     resolve(response);
                 });
+            });
+        });
+    }
+    
+    /**
+     * withConnection
+     * Runs fn with a connection from the pool and always releases the connection afterwards, whether fn worked or not
+     * fn gets a copy of this instance that runs every method on that connection, so TEMPORARY tables,
+     * session variables and locks carry over from one call to the next, and the connection itself.
+     * Calling release() on the connection given to fn does nothing.
+     * @param  {function} fn  function(mysql, connection), returns a value or a promise
+     * @return {Promise}      Resolves or rejects with the result of fn
+     */
+    withConnection(fn) {
+        const self = this;
+        return new Promise(function(resolve,reject){
+            if(!_.isFunction(fn)) return reject(new Error("MySQL Class / withConnection Method - fn must be a function"));
+            
+            self.getConnection()
+            .then(function(db){
+                let scope = pinned(self, db);
+                scope.getConnection()
+                .then(function(connection){
+                    return fn(scope, connection);
+                })
+                .then(function(result){
+                    db.release();
+                    resolve(result);
+                }, function(err){
+                    db.release();
+                    reject(err);
+                });
             }).catch(reject);
         });
     }
     
+    /**
+     * transaction
+     * Runs fn inside a transaction on its own connection, see withConnection
+     * Commits when fn resolves and rolls back when it rejects or throws. Statements that cause an implicit commit,
+     * like CREATE TABLE or DROP TABLE, can't be rolled back.
+     * @param  {function} fn  function(mysql, connection), returns a value or a promise
+     * @return {Promise}      Resolves with the result of fn once committed, rejects with the error of fn once rolled back
+     */
+    transaction(fn) {
+        const self = this;
+        if(!_.isFunction(fn)) return Promise.reject(new Error("MySQL Class / transaction Method - fn must be a function"));
+        
+        return self.withConnection(function(scope, db){
+            return new Promise(function(resolve,reject){
+                db.beginTransaction(function(err){
+                    if(err) return reject(err);
+                    resolve();
+                });
+            })
+            .then(function(){
+                return fn(scope, db);
+            })
+            .then(function(result){
+                return new Promise(function(resolve,reject){
+                    db.commit(function(err){
+                        if(err) return reject(err);
+                        self.logger.debug('Transaction committed');
+                        resolve(result);
+                    });
+                });
+            }, function(err){
+                return new Promise(function(resolve,reject){
+                    db.rollback(function(){
+                        self.logger.warn('Transaction rolled back', {error: err.message});
+                        reject(err);
+                    });
+                });
+            });
+        });
+    }
+    
     /**
      * table exists
-     * @param  {string} table MySql table to check for existance in the db
-     * @return {promsie}      If table exists resolves, if error rejects
+     * Selects nothing from the table, so TEMPORARY tables on the connection are found too
+     * @param  {string} table MySql table to check for existance in the db, can be qualified with the database ex: db.table
+     * @return {promsie}      If table exists resolves, if not rejects. Rejects with the error if the check itself fails
      */
     tableExists(table) {
         const self = this;
         return new Promise(function(resolve,reject){
-            self.query(`SHOW TABLES LIKE '${table}'`)
-            .then(function(results){
-                if(results.length && self.debug) self.log(`${table} found`);
-                if(results.length) return resolve();
-                if(!results.length && self.debug) self.log(`${table} NOT found`);
+            self.query('SELECT 1 FROM ?? LIMIT 0', table)
+            .then(function(){
+                self.logger.debug('Table found', {table: table});
+                resolve();
+            }, function(err){
+                if(err.code !== 'ER_NO_SUCH_TABLE') return reject(err);
+                self.logger.debug('Table not found', {table: table});
                 reject();
-            }).catch(reject);
+            });
         });
     }
     
@@ -111,7 +431,7 @@ module.exports = class MySQL {
             if(!table || !table.length) return reject(new Error("MySQL Class / dropTable Method - Missing Table Parameter. Must be a string or array"));
             let tables = _.concat([],table);
             async.each(tables,function(table,next){
-                self.query(`DROP TABLE IF EXISTS ${table}`)
+                self.query('DROP TABLE IF EXISTS ??', table)
                 .then(function(){
                     next();
                 }).catch(next);
@@ -135,7 +455,7 @@ module.exports = class MySQL {
             if(!index) return reject(new Error("MySQL Class / addIndex Method - Missing Index Parameter. Must be a string or array of headers you want to create index(es) for in the table."));
             
             async.each(_.concat([],index),function(ind,next) {
-                self.query(`CREATE INDEX ${ind} on ${table} (${ind}) USING BTREE`)
+                self.query(`CREATE INDEX ${mysql.escapeId(ind, true)} on ${mysql.escapeId(table)} (${mysql.escapeId(ind, true)}) USING BTREE`)
                 .then(function(){
                     next();
                 }).catch(next);
@@ -149,41 +469,215 @@ module.exports = class MySQL {
     
     /**
      * getFileHeaders
+     * Parses the header row of a file with the same quoting rules as the import
+     * and cleans the names into valid, unique MySQL column names
      * @param  {string} filepath  path and name of the file
      * @param  {string} delimiter delimiter for parsing each file
-     * @return {array}            each of the headers in an array
+     * @param  {String} [quotes=""]      Character wrapping field values, the same default as the imports
+     * @param  {String} [escape="\\"]    Escape character
+     * @param  {String} [newline="\n"]   Character terminating each line in the file
+     * @param  {bool}   [sanitize=true]  Clean the names into valid MySQL column names
+     * @param  {bool}   [mapping=false]  Resolve {headers, mapping} instead of the headers array
+     * @param  {String} [compression="auto"] Compression of the file, see sampleFile
+     * @return {array}            each of the headers in an array, or {headers, mapping} where mapping is [{original, name}]
      */
-    getFileHeaders(filepath, delimiter=",") {
+    getFileHeaders(filepath, delimiter=",", {quotes = '', escape = "\\", newline = "\n", sanitize = true, mapping = false, compression = "auto"} = {}) {
         const self = this;
         return new Promise(function(resolve,reject){
             if(!filepath) return reject(new Error("MySQL Class / getFileHeaders Method - Missing filepath parameter"));
-            firstline(filepath)
-            .then(function(line){
-                if(self.debug) self.log(`Finding Headers using delimiter: "${delimiter}". Headers found:`, line.split(delimiter));
-                resolve(line.split(delimiter));
+            self.sampleFile({filepath: filepath, delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, rows: 0, compression: compression})
+            .then(function(sample){
+                let names = schema.sanitizeHeaders(sample.headers);
+                if(!sanitize) names = sample.headers.map(function(header){ return {original: header, name: header}; });
+                let headers = names.map(function(name){ return name.name; });
+                self.logger.debug('Read file headers', {file: filepath, delimiter: delimiter, headers: headers});
+                resolve(mapping ? {headers: headers, mapping: names} : headers);
+            }).catch(reject);
+        });
+    }
+    
+    /**
+     * sampleFile
+     * Reads the header row and the first rows of a delimited file without loading the whole file
+     * @param  {string} filepath        path and name of the file
+     * @param  {String} [delimiter=","] Delimiter of the file
+     * @param  {String} [quotes=""]     Character wrapping field values
+     * @param  {String} [escape="\\"]   Escape character
+     * @param  {String} [newline="\n"]  Character terminating each line in the file
+     * @param  {Number} [rows=1000]     Max number of rows to read after the header row
+     * @param  {String} [compression="auto"] "auto" goes by the extension (.gz, .zip, .bz2), or "none", "gzip", "zip", "bz2". Compressed files are read as they are decompressed
+     * @return {Promise | object}       {headers, rows} - rows is an array of records, each an array of values
+     */
+    sampleFile({filepath, delimiter = ",", quotes = '', escape = "\\", newline = "\n", rows = 1000, compression = "auto"}) {
+        const self = this;
+        return new Promise(function(resolve,reject){
+            if(!filepath) return reject(new Error("MySQL Class / sampleFile Method - Missing filepath parameter"));
+            let headers = null,
+                sample = [],
+                done = false,
+                input = compress.openFile(filepath, {compression: compression}).input,
+                parser = new RecordParser({delimiter: delimiter, quotes: quotes, escape: escape, newline: newline});
+            
+            let finish = function(){
+                if(done) return;
+                done = true;
+                input.unpipe(parser);
+                input.destroy();
+                self.logger.debug('Sampled file', {file: filepath, rows: sample.length});
+                resolve({headers: headers || [], rows: sample});
+            };
+            
+            input.on('error', reject);
+            parser.on('error', reject);
+            parser.on('data', function(record){
+                if(done) return;
+                if(headers) sample.push(record);
+                else headers = record;
+                if(sample.length >= rows) finish();
+            });
+            parser.on('end', finish);
+            input.pipe(parser);
+        });
+    }
+    
+    /**
+     * profileFile
+     * Reads a whole delimited file once and profiles each column, without touching the database
+     * @param  {string} filepath            path and name of the file
+     * @param  {String} [delimiter=","]     Delimiter of the file
+     * @param  {String} [quotes=""]         Character wrapping field values
+     * @param  {String} [escape="\\"]       Escape character
+     * @param  {String} [newline="\n"]      Character terminating each line in the file
+     * @param  {bool}   [sanitize=true]     Name columns with the cleaned headers the imports use, see getFileHeaders
+     * @param  {Number} [maxDistinct=10000] Distinct values counted exactly per column
+     * @param  {String} [compression="auto"] Compression of the file, see sampleFile
+     * @return {Promise | object}           {rows, columns, consistent, fieldCounts, badEncoding, profile} - see Profiler in lib/profile.js
+     */
+    profileFile({filepath, delimiter = ",", quotes = '', escape = "\\", newline = "\n", sanitize = true, maxDistinct = 10000, compression = "auto"}) {
+        const self = this;
+        return new Promise(function(resolve,reject){
+            if(!filepath) return reject(new Error("MySQL Class / profileFile Method - Missing filepath parameter"));
+            let profiler = null,
+                started = Date.now();
+            
+            scanFile(filepath, {delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, compression: compression}, function(record, line){
+                if(profiler) return profiler.add(record);
+                let headers = sanitize ? _.map(schema.sanitizeHeaders(record), 'name') : record;
+                profiler = new profile.Profiler(headers, {maxDistinct: maxDistinct});
+            })
+            .then(function(){
+                let result = (profiler || new profile.Profiler([])).result();
+                self.logger.info('Profiled file', {operation: 'profile', file: filepath, rows: result.rows, consistent: result.consistent, duration: Date.now() - started});
+                resolve(result);
             }).catch(reject);
         });
     }
     
+    /**
+     * validateFile
+     * Reads a whole delimited file once and checks it against required headers and column rules, without touching the database
+     * Each record is also checked for the number of fields and for bytes that aren't valid UTF-8.
+     * @param  {string} filepath          path and name of the file
+     * @param  {array}  [required=[]]     Headers the file must have
+     * @param  {object} [rules={}]        Rules by header, ex: {email: {required: true, email: true, unique: true}, zip: {regex: /^\d{5}$/}}. See Validator in lib/profile.js
+     * @param  {Number} [maxErrors=100]   Errors listed in the result, all of them are counted
+     * @param  {String} [delimiter=","]   Delimiter of the file
+     * @param  {String} [quotes=""]       Character wrapping field values
+     * @param  {String} [escape="\\"]     Escape character
+     * @param  {String} [newline="\n"]    Character terminating each line in the file
+     * @param  {bool}   [sanitize=true]   Match rules to the cleaned headers the imports use, see getFileHeaders
+     * @param  {String} [compression="auto"] Compression of the file, see sampleFile
+     * @return {Promise | object}         {valid, rows, errorCount, errors} - errors are [{line, column, rule, value, message}]
+     */
+    validateFile({filepath, required = [], rules = {}, maxErrors = 100, delimiter = ",", quotes = '', escape = "\\", newline = "\n", sanitize = true, compression = "auto"}) {
+        const self = this;
+        return new Promise(function(resolve,reject){
+            if(!filepath) return reject(new Error("MySQL Class / validateFile Method - Missing filepath parameter"));
+            if(!_.isArray(required)) return reject(new Error("MySQL Class / validateFile Method - required must be an array of headers"));
+            if(!_.isPlainObject(rules)) return reject(new Error("MySQL Class / validateFile Method - rules must be an object of rules by header"));
+            let validator = null,
+                started = Date.now();
+            
+            scanFile(filepath, {delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, compression: compression}, function(record, line){
+                if(validator) return validator.add(record, line);
+                let headers = sanitize ? _.map(schema.sanitizeHeaders(record), 'name') : record;
+                validator = new profile.Validator(headers, {required: required, rules: rules, maxErrors: maxErrors});
+            })
+            .then(function(){
+                let result = (validator || new profile.Validator([], {required: required, rules: rules, maxErrors: maxErrors})).result();
+                self.logger[result.valid ? 'info' : 'warn']('Validated file', {operation: 'validate', file: filepath, rows: result.rows, errorCount: result.errorCount, duration: Date.now() - started});
+                resolve(result);
+            })
+            .catch(function(err){
+                reject(new Error('MySQL Class / validateFile Method - ' + err.message));
+            });
+        });
+    }
+    
     /**
      * getTableHeaders
-     * @param  {string} table    Name of table
-     * @return {Promsie | array} List of fields in the table
+     * @param  {string} table    Name of table, can be qualified with the database ex: db.table
+     * @return {Promsie | array} List of fields in the table, in table order
      */
     getTableHeaders(table) {
         const self = this;
         return new Promise(function(resolve,reject){
-            self.query(`SELECT GROUP_CONCAT(CONCAT("'",COLUMN_NAME,"'")) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = '${table}' ORDER BY ORDINAL_POSITION;`)
+            self.query('SHOW COLUMNS FROM ??', table)
             .then(function(response){
-                let string = response[0]['GROUP_CONCAT(CONCAT("\'",COLUMN_NAME,"\'"))'];
-                let headers = string.split(',').map(function(header){
-                    return _.trim(header, "'");
-                });
-                resolve(headers);
+                resolve(response.map(function(column){ return column.Field; }));
             }).catch(reject);
         });
     }
     
+    /**
+     * detectDrift
+     * Compares the headers of a file with the columns of a table, to catch a vendor adding, dropping or moving columns
+     * Headers are cleaned like getFileHeaders does, renamed by map and matched to columns by name, case insensitively
+     * @param  {string} filepath        Path of the file
+     * @param  {string} table           Table the file is loaded into. If none is provided, falls back to name of file
+     * @param  {String} [delimiter=","] Delimiter in file
+     * @param  {String} [quotes=""]     Character wrapping field values
+     * @param  {String} [escape="\\"]   Escape character
+     * @param  {String} [newline="\n"]  Character terminating each line in the file
+     * @param  {String} [compression="auto"] Compression of the file, see sampleFile
+     * @param  {object} [map]           Column name for headers of the file, by the header as it is in the file or cleaned, ex: {"First Name": "first"}. null skips the header
+     * @return {Promise | object}       {table, headers, columns, added, missing, reordered, drifted, mapping} - headers are the cleaned and renamed headers, added are headers with no column,
+     *                                  missing are columns with no header, reordered are the shared columns out of table order and mapping is the column each field of the file loads into, null when it has none
+     */
+    detectDrift({filepath, table = "", delimiter = ",", quotes = '', escape = "\\", newline = "\n", compression = "auto", map = {}}) {
+        const self = this;
+        return new Promise(function(resolve,reject){
+            if(!filepath) return reject(new Error("MySQL Class / detectDrift Method - Missing File Path"));
+            if(!table) table = compress.baseName(filepath);
+            
+            Promise.all([
+                self.getFileHeaders(filepath, delimiter, {quotes: quotes, escape: escape, newline: newline, compression: compression, mapping: true}),
+                self.getTableHeaders(table)
+            ])
+            .then(function(found){
+                let names = found[0].mapping;
+                let unknown = _.keys(map).filter(function(key){
+                    return !_.some(names, function(name){ return name.original === key || name.name === key; });
+                });
+                if(unknown.length) throw new Error(`map names ${unknown.join(', ')}, which ${unknown.length > 1 ? "aren't headers" : "isn't a header"} of ${filepath}`);
+                let headers = names.map(function(name){
+                    if(_.has(map, name.original)) return map[name.original];
+                    return _.has(map, name.name) ? map[name.name] : name.name;
+                });
+                let repeated = _.uniq(_.filter(_.compact(headers), function(header, i, all){
+                    return _.findIndex(all, function(other){ return other.toLowerCase() === header.toLowerCase(); }) !== i;
+                }));
+                if(repeated.length) throw new Error(`More than one header of ${filepath} is named ${repeated.join(', ')}, check map`);
+                let drift = _.assign({table: table, headers: headers, columns: found[1]}, schema.compareColumns(headers, found[1]));
+                self.logger.debug('Compared file headers with table columns', {table: table, file: filepath, added: drift.added, missing: drift.missing, reordered: drift.reordered});
+                resolve(drift);
+            })
+            .catch(function(err){
+                reject(new Error('MySQL Class / detectDrift Method - ' + err.message));
+            });
+        });
+    }
+    
     /**
      * createStagingTable
      * Check if table EXISTS
@@ -198,23 +692,31 @@ module.exports = class MySQL {
         return new Promise(function(resolve,reject){
             if(!table) return reject(new Error('MySQL Class / createStagingTable Method - Missing Table Name property'));
             
+            let started = Date.now();
+            
             self.tableExists(table)
             .then(function(){
-                if(self.debug) self.log(`${table} found to copy from. Creating staging table.`);
-                self.getConnection()
-                .then(function(db){
-                    db.query(`DROP TABLE IF EXISTS ${table}_staging`,function(err, results){
-                        if(err) return reject(new Error('Error dropping existing staging table in MySQL Class', err.message));
-                        db.query(`CREATE TABLE ${table}_staging LIKE ${table}`, function(err, results){
-                            if(err) return reject(new Error(`Creating a new Staging table like ${table} in MySQL Class`, err.message));
-                            if(self.debug) self.log(`${table}_staging created by copying ${table}`);
-                            resolve(table + '_staging');
+                self.logger.debug('Creating staging table', {table: table});
+                self.withConnection(function(scope){
+                    return scope.query('DROP TABLE IF EXISTS ??', `${table}_staging`)
+                    .catch(function(err){
+                        throw new Error('MySQL Class / createStagingTable Method - Error dropping existing staging table: ' + err.message);
+                    })
+                    .then(function(){
+                        return scope.query('CREATE TABLE ?? LIKE ??', `${table}_staging`, table)
+                        .catch(function(err){
+                            throw new Error(`MySQL Class / createStagingTable Method - Error creating a new staging table like ${table}: ` + err.message);
                         });
                     });
+                })
+                .then(function(){
+                    let details = {table: table, staging: `${table}_staging`, duration: Date.now() - started};
+                    self.logger.info('Staging table created', _.assign({operation: 'staging'}, details));
+                    self.emit('staging-created', details);
+                    resolve(table + '_staging');
                 }).catch(reject);
-            })
-            .catch(function(err){
-                return reject(new Error('MySQL Class / createStagingTable Method - Table does not exist to copy for importing file. Ensure table is already defined OR use importFileAndCreateTable() method'));
+            }, function(){
+                reject(new Error('MySQL Class / createStagingTable Method - Table does not exist to copy for importing file. Ensure table is already defined OR use importFileAndCreateTable() method'));
             });
             
         });
@@ -223,37 +725,54 @@ module.exports = class MySQL {
     /**
      * createNewTable
      * @param  {string} table   Name of table to be creatws
-     * @param  {array}  headers List of header names
+     * @param  {array}  headers List of header names, or column objects {name, type, nullable, default, primaryKey, unique, autoIncrement, charset, collation, comment}
+     * @param  {object} [columns] Map of header name to column type. Headers without a type are VARCHAR(1000)
      * @param  {array}  index   Which headers should be indexed
-     * @param  {bool}   prependHeaders If headers should have the table name prepended
+     * @param  {bool | string} prependHeaders If headers should have the table name prepended, or the prefix to prepend
      * @param  {bool}   overwrite Overwrite if an existing table is found
+     * @param  {bool}   [temporary=false] Create a TEMPORARY table, only visible to the connection creating it
+     * @param  {String} [engine]    Storage engine of the table
+     * @param  {String} [charset]   Default character set of the table
+     * @param  {String} [collation] Default collation of the table
+     * @param  {String} [comment]   Table comment
      * @return {string}         Name of new table
      */
-    createNewTable({table, headers, index = null, prependHeaders = false, overwrite=false}) {
+    createNewTable({table, headers, columns = {}, index = null, prependHeaders = false, overwrite=false, temporary = false, engine, charset, collation, comment}) {
         const self = this;
         
         return new Promise(function(resolve,reject){
             if(!table) return reject(new Error("MySQL Class / createNewTable Method - Must provide a name for the new table"));
             if(!headers && !_.isArray(headers) && !headers.length) return reject(new Error('MySQL Class / createNewTable Method - No headers provided to create new table or not passed as an array'));
-            if(index && self.arrayContainsArray(_.concat([],index), headers)) return reject(new Error('MySQL Class / createNewTable Method - Cannot create table. Index must be included in the headers array to avoid an error.'));
-            if(prependHeaders && index) index = _.map(_.concat([],index),function(ind){ return table + "_" + _.camelCase(ind);});
             
-            let headerString = headers.map(function(header){
-                if(prependHeaders) header = table + '_' + _.camelCase(header);
-                return header + ' VARCHAR(1000)';
-            }).join(', ');
+            let definitions, options;
+            try {
+                definitions = headers.map(function(header){
+                    let column = schema.normalizeColumn(header, columns);
+                    column.name = prefixColumn(prependHeaders, table, column.name);
+                    return column;
+                });
+                options = schema.tableOptions({engine: engine, charset: charset, collation: collation, comment: comment});
+            } catch(err) {
+                return reject(new Error('MySQL Class / createNewTable Method - ' + err.message));
+            }
+            
+            let names = headers.map(function(header){ return _.isString(header) ? header : header.name; });
+            if(index && self.arrayContainsArray(_.concat([],index), names)) return reject(new Error('MySQL Class / createNewTable Method - Cannot create table. Index must be included in the headers array to avoid an error.'));
+            if(prependHeaders && index) index = _.map(_.concat([],index),function(ind){ return prefixColumn(prependHeaders, table, ind);});
             
-            if(self.debug) self.log(`Creating new table called ${table}. Headers string for CREATE command: ${headerString}`);
+            let headerString = _.concat(definitions.map(schema.columnDefinition), schema.keyDefinitions(definitions)).join(', ');
+            
+            self.logger.debug('Creating table', {table: table, columns: headerString});
             
             let create = function() {
                 return new Promise(function(resolve,reject){
-                    self.query(`CREATE TABLE ${table} (${headerString})`)
+                    self.query(`CREATE ${temporary ? 'TEMPORARY ' : ''}TABLE ${mysql.escapeId(table)} (${headerString})${options ? ' ' + options : ''}`)
                     .then(function(results){
                         if(!index) return;
                         return self.addIndex(table,index);
                     })
                     .then(function(results){
-                        if(self.debug) self.log(`Index ${index} on ${table} successfully created`);
+                        self.logger.debug('Index created', {table: table, index: index});
                         resolve(table);
                     }).catch(function(err){
                         if(err) return reject(new Error('Error creating new table in MySQL Class' + err));
@@ -263,10 +782,10 @@ module.exports = class MySQL {
             
             let drop = function() {
                 return new Promise(function(resolve,reject){
-                    if(self.debug) self.log(`${table} already exists, checking for overwrite param`);
+                    self.logger.debug('Table already exists, checking for overwrite param', {table: table});
                     if(!overwrite) return reject(new Error('Error creating new table. One already exists with the table provided and overwrite parameter was not set to TRUE'));
-                    if(self.debug) self.log(`Overwritng ${table} with new table definition`);
-                    self.query(`DROP TABLE IF EXISTS ${table}`)
+                    self.logger.info('Overwriting table with new table definition', {table: table});
+                    self.dropTable(table)
                     .then(create)
                     .then(resolve)
                     .catch(reject);
@@ -285,42 +804,667 @@ module.exports = class MySQL {
     
     /**
      * swapTables
-     * Rename existing "real" table to table_drop
-     * Rename new table to orignal table name
-     * Drop old table
-     * Limits amount of time the table is offline
-     * @param  {string} table  Name of target table
-     * @return {promsie}       Resolves when complete
+     * Swaps table_staging in as table with a single multi-table RENAME TABLE
+     * MySQL runs the renames atomically, other sessions either see the old table or the new one, never no table.
+     * The old table is dropped, or kept as table_backup so rollbackTable can restore it.
+     * @param  {string} table           Name of target table
+     * @param  {bool}   [backup=false]  Keep the replaced table as table_backup, replacing any older backup
+     * @return {promsie}                Resolves when complete
      */
-    swapTables(table) {
+    swapTables(table, {backup = false} = {}) {
         const self = this;
         
         return new Promise(function(resolve,reject){
-            self.tableExists(table)
+            if(!table) return reject(new Error("MySQL Class / swapTables Method - Missing Table Parameter"));
+            let started = Date.now(),
+                kept = null;
+            
+            self.tableExists(`${table}_staging`)
+            .catch(function(){
+                throw new Error(`MySQL Class / swapTables Method - ${table}_staging not found`);
+            })
             .then(function(){
-                self.getConnection()
-                .then(function(db){
-                    if(self.debug) self.log(`Swapping ${table}_staging with ${table}`);
-                    db.query(`RENAME TABLE ${table} TO ${table}_drop`,function(err){
-                        if(err) return reject(err);
-                        db.query(`RENAME TABLE ${table}_staging TO ${table}`,function(err){
-                            if(err) return reject(err);
-                            db.query(`DROP TABLE ${table}_drop`,function(err){
+                return self.tableExists(table).then(function(){ return true; }, function(){ return false; });
+            })
+            .then(function(exists){
+                if(!exists) {
+                    self.logger.debug('Table does not exist, renaming staging table', {table: table});
+                    return self.query('RENAME TABLE ?? TO ??', `${table}_staging`, table);
+                }
+
+                let old = backup ? `${table}_backup` : `${table}_drop`;
+                if(backup) kept = old;
+                self.logger.debug('Swapping staging table', {table: table, old: old});
+                // Clear out a backup from an earlier load, or a _drop table left behind by a swap that died before dropping it
+                return self.dropTable(old)
+                .then(function(){
+                    return self.query('RENAME TABLE ?? TO ??, ?? TO ??', table, old, `${table}_staging`, table);
+                })
+                .then(function(){
+                    if(backup) return;
+                    return self.dropTable(old);
+                })
+                .then(function(){
+                    self.logger.debug('Swap complete', {table: table});
+                });
+            })
+            .then(function(){
+                let details = {table: table, backup: kept, duration: Date.now() - started};
+                self.logger.info('Tables swapped', _.assign({operation: 'swap'}, details));
+                self.emit('swapped', details);
+                resolve();
+            }).catch(reject);
+        });
+    }
+    
+    /**
+     * rollbackTable
+     * Restores table_backup kept by swapTables, undoing the last load of the table
+     * The current table and the backup are swapped with a single RENAME TABLE, then the current table is dropped.
+     * @param  {string} table  Name of table to roll back
+     * @return {promsie}       Resolves when complete, rejects if there is no backup
+     */
+    rollbackTable(table) {
+        const self = this;
+        
+        return new Promise(function(resolve,reject){
+            if(!table) return reject(new Error("MySQL Class / rollbackTable Method - Missing Table Parameter"));
+            
+            self.tableExists(`${table}_backup`)
+            .then(function(){
+                return self.tableExists(table)
+                .then(function(){
+                    self.logger.debug('Rolling back to backup', {table: table});
+                    return self.dropTable(`${table}_drop`)
+                    .then(function(){
+                        return self.query('RENAME TABLE ?? TO ??, ?? TO ??', table, `${table}_drop`, `${table}_backup`, table);
+                    })
+                    .then(function(){
+                        return self.dropTable(`${table}_drop`);
+                    });
+                },function(){
+                    self.logger.debug('Table does not exist, renaming backup', {table: table});
+                    return self.query('RENAME TABLE ?? TO ??', `${table}_backup`, table);
+                });
+            },function(){
+                throw new Error(`MySQL Class / rollbackTable Method - No backup found for ${table}. Import with backup: true to keep one`);
+            })
+            .then(function(){
+                self.logger.info('Table rolled back', {operation: 'rollback', table: table});
+                resolve();
+            }).catch(reject);
+        });
+    }
+    
+    /**
+     * loadFile
+     * Loads a delimited file into an existing table, the first line of the file is skipped as the header row
+     * Uses LOAD DATA LOCAL INFILE when the server allows it, otherwise streams the file through insertFile
+     * Warnings raised by the load (truncated values, missing or extra fields, bad data) are collected with SHOW WARNINGS
+     * @param  {string} filepath        Path of file to load
+     * @param  {string} table           Table where data will be loaded
+     * @param  {array}  [headers]       Columns the fields of each line are loaded into, in file order, null skips a field. Blank loads into all table columns in order.
+     * @param  {String} [delimiter=","] Delimiter in file
+     * @param  {String} [quotes=""]     Character wrapping field values
+     * @param  {String} [escape="\\"]   Escape character
+     * @param  {String} [newline="\n"]  Character terminating each line in the file
+     * @param  {String} [loader="auto"] "infile" for LOAD DATA, "insert" for batched inserts, "auto" for LOAD DATA with a fallback to inserts when the server rejects it
+     * @param  {Number} [batchSize=1000] Rows per INSERT statement when inserting
+     * @param  {Number} [maxErrors]     Reject when the load raises more warnings than this. The rows stay in the table, callers decide what to do with them
+     * @param  {String} [compression="auto"] Compression of the file, see sampleFile. LOAD DATA needs a file, so it loads a decompressed copy written to the temp folder
+     * @param  {object} [transforms]    Transforms by column, ex: {email: ["trim", "lower"]}, see lib/transform.js. LOAD DATA applies them in its SET clause, inserts in the VALUES
+     * @return {Promise | object}       {rows, loader, warningCount, warnings} - number of rows loaded, the loader used and the warnings, see showWarnings
+     */
+    loadFile({filepath, table, headers = [], delimiter = ",", quotes = '', escape = "\\", newline = "\n", loader = "auto", batchSize = 1000, maxErrors = null, compression = "auto", transforms = {}}) {
+        const self = this;
+        
+        return new Promise(function(resolve,reject){
+            if(!filepath) return reject(new Error("MySQL Class / loadFile Method - Missing File Path"));
+            if(!table) return reject(new Error("MySQL Class / loadFile Method - Missing Table Parameter"));
+            if(!_.includes(['auto', 'infile', 'insert'], loader)) return reject(new Error(`MySQL Class / loadFile Method - Unknown loader "${loader}". Must be auto, infile or insert`));
+            
+            let started = null,
+                bytes = null;
+            
+            let insert = function(){
+                return self.insertFile({filepath: filepath, table: table, headers: headers, delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, batchSize: batchSize, compression: compression, transforms: transforms})
+                .then(function(results){
+                    return _.assign({loader: 'insert'}, results);
+                });
+            };
+            
+            let infile = function(){
+                let copy = null,
+                    clause = null;
+                // Transforms are matched to columns by name, so they need the table's columns when no headers are given
+                return (headers.length || _.isEmpty(transforms) ? Promise.resolve(headers) : self.getTableHeaders(table))
+                .then(function(columns){
+                    clause = transform.loadClause(columns, transform.forColumns(columns, transforms));
+                    return compress.decompressFile(filepath, {compression: compression});
+                })
+                .then(function(decompressed){
+                    copy = decompressed;
+                    if(copy) self.logger.debug('Decompressed file for LOAD DATA', {file: filepath, copy: copy});
+                    return self.withConnection(function(scope, db){
+                        return new Promise(function(resolve,reject){
+                            let sql = `LOAD DATA LOCAL INFILE ${mysql.escape(copy || filepath)} INTO TABLE ${mysql.escapeId(table)} FIELDS TERMINATED BY ${mysql.escape(delimiter)} ENCLOSED BY ${mysql.escape(quotes)} ESCAPED BY ${mysql.escape(escape)} LINES TERMINATED BY ${mysql.escape(newline)} IGNORE 1 LINES ${clause}`;
+                            self.logger.sql(sql, {table: table, file: filepath});
+                            db.query(sql, function(err, results){
                                 if(err) return reject(err);
-                                if(self.debug) self.log(`Old ${table} dropped and ${table}_staging renamed to ${table}. Swap complete`);
-                                resolve();
+                                // LOAD DATA numbers rows from the first line after the ignored header line
+                                (results.warningCount ? showWarnings(db, 1) : Promise.resolve([]))
+                                .then(function(warnings){
+                                    resolve({loader: 'infile', rows: results.affectedRows, warningCount: results.warningCount, warnings: warnings});
+                                }, reject);
                             });
                         });
                     });
-                }).catch(reject);
-            },function(){
-                if(self.debug) self.log(`${table} doesn't exist so renaming ${table}_staging to ${table}`);
-                self.query(`RENAME TABLE ${table}_staging TO ${table}`)
-                .then(function(response){
-                    resolve();
-                }).catch(reject);
-            }).catch(reject);
+                })
+                .then(function(results){
+                    return removeCopy(copy).then(function(){ return results; });
+                }, function(err){
+                    return removeCopy(copy).then(function(){ throw err; });
+                });
+            };
+            
+            let removeCopy = function(copy){
+                return new Promise(function(resolve){
+                    if(!copy) return resolve();
+                    fs.unlink(copy, function(){ resolve(); });
+                });
+            };
+            
+            new Promise(function(resolve){
+                fs.stat(filepath, function(err, stats){
+                    resolve(err ? null : stats.size);
+                });
+            })
+            .then(function(size){
+                started = Date.now();
+                bytes = size;
+                // auto tries LOAD DATA first, a fallback starts the load again with inserts
+                self.emit('load-started', {table: table, filepath: filepath, loader: loader === 'insert' ? 'insert' : 'infile', bytes: bytes});
+                return loader === 'insert' ? insert() : infile();
+            })
+            .catch(function(err){
+                if(loader !== 'auto' || !(_.includes(LOCAL_INFILE_DISABLED, err.errno) || err.code === LOCAL_FILES_DISABLED)) throw err;
+                self.logger.warn('LOAD DATA LOCAL INFILE rejected by the server, falling back to batched inserts', {table: table, file: filepath, code: err.code});
+                self.emit('load-started', {table: table, filepath: filepath, loader: 'insert', bytes: bytes});
+                return insert();
+            })
+            .then(function(results){
+                let details = {table: table, filepath: filepath, loader: results.loader, rows: results.rows, warningCount: results.warningCount, duration: Date.now() - started};
+                self.logger.info('File loaded', {operation: 'load', table: table, file: filepath, loader: results.loader, rows: results.rows, duration: details.duration});
+                self.emit('load-finished', details);
+                if(results.warningCount) self.logger.warn('Loading raised warnings', {table: table, file: filepath, warningCount: results.warningCount, warnings: results.warnings});
+                if(_.isNumber(maxErrors) && results.warningCount > maxErrors) {
+                    let err = new Error(`MySQL Class / loadFile Method - Loading ${filepath} into ${table} raised ${results.warningCount} warnings, more than the ${maxErrors} allowed by maxErrors`);
+                    err.report = results;
+                    throw err;
+                }
+                return results;
+            })
+            .then(resolve)
+            .catch(reject);
+        });
+    }
+    
+    /**
+     * insertFile
+     * Streams a delimited file and loads it into an existing table with multi-row INSERT statements
+     * For servers where LOAD DATA LOCAL INFILE is disabled. Behaves like LOAD DATA LOCAL:
+     * the header row is skipped, \N is loaded as NULL, missing trailing fields get the column default and extra fields are dropped, both with a warning,
+     * and bad values or duplicate keys are warnings rather than errors (INSERT IGNORE). Warnings are collected after each batch.
+     * @param  {string} filepath         Path of file to load
+     * @param  {string} table            Table where data will be loaded
+     * @param  {array}  [headers]        Columns the fields of each line are loaded into, in file order, null skips a field. Blank loads into all table columns in order.
+     * @param  {String} [delimiter=","]  Delimiter in file
+     * @param  {String} [quotes=""]      Character wrapping field values
+     * @param  {String} [escape="\\"]    Escape character
+     * @param  {String} [newline="\n"]   Character terminating each line in the file
+     * @param  {Number} [batchSize=1000] Rows per INSERT statement
+     * @param  {String} [compression="auto"] Compression of the file, see sampleFile
+     * @param  {object} [transforms]     Transforms by column, see loadFile
+     * @return {Promise | object}        {rows, warningCount, warnings} - number of rows inserted and the warnings, see showWarnings
+     */
+    insertFile({filepath, table, headers = [], delimiter = ",", quotes = '', escape = "\\", newline = "\n", batchSize = 1000, compression = "auto", transforms = {}}) {
+        const self = this;
+        
+        return new Promise(function(resolve,reject){
+            if(!filepath) return reject(new Error("MySQL Class / insertFile Method - Missing File Path"));
+            if(!table) return reject(new Error("MySQL Class / insertFile Method - Missing Table Parameter"));
+            if(!_.isInteger(batchSize) || batchSize < 1) return reject(new Error("MySQL Class / insertFile Method - batchSize must be a positive integer"));
+            
+            let columns = null,
+                compiled = null;
+            
+            let insert = function(db, resolve, reject){
+                let source = compress.openFile(filepath, {compression: compression}),
+                    input = source.input,
+                    parser = new RecordParser({delimiter: delimiter, quotes: quotes, escape: escape, newline: newline}),
+                    sql = `INSERT IGNORE INTO ${mysql.escapeId(table)} (${schema.columnList(_.without(columns, null))}) VALUES `,
+                    batch = [],
+                    // Warnings for the records of the batch, raised while reading them
+                    fieldWarnings = [],
+                    rows = 0,
+                    lines = 1,
+                    warningCount = 0,
+                    warnings = [],
+                    headerRow = true,
+                    flushing = false,
+                    ended = false,
+                    done = false;
+                
+                let finish = function(err){
+                    if(done) return;
+                    done = true;
+                    if(err) {
+                        input.destroy();
+                        return reject(err);
+                    }
+                    self.logger.debug('Inserted file', {table: table, file: filepath, rows: rows});
+                    resolve({rows: rows, warningCount: warningCount, warnings: warnings});
+                };
+                
+                let flush = function(callback){
+                    if(!batch.length) return callback();
+                    let values = batch,
+                        raised = fieldWarnings,
+                        offset = lines;
+                    batch = [];
+                    fieldWarnings = [];
+                    lines += values.length;
+                    // Only the statement is logged, the values of a batch would flood the log
+                    self.logger.sql(`${sql}... (${values.length} rows)`, {table: table, file: filepath});
+                    db.query(sql + mysql.escape(values), function(err, results){
+                        if(err) return callback(err);
+                        rows += results.affectedRows;
+                        self.emit('progress', {operation: 'load', table: table, filepath: filepath, rows: rows, bytes: source.file.bytesRead});
+                        warningCount += raised.length + results.warningCount;
+                        if(!results.warningCount) {
+                            warnings = warnings.concat(raised);
+                            return callback();
+                        }
+                        // Warnings number rows from the start of the statement, offset them to lines in the file
+                        showWarnings(db, offset)
+                        .then(function(batchWarnings){
+                            warnings = warnings.concat(_.sortBy(raised.concat(batchWarnings), 'line'));
+                            callback();
+                        }, callback);
+                    });
+                };
+                
+                // LOAD DATA warns about a line with more or fewer fields than columns, so does this
+                let checkFields = function(record, line){
+                    if(record.length === columns.length) return;
+                    let more = record.length > columns.length;
+                    fieldWarnings.push({
+                        level: 'Warning',
+                        code: more ? 1262 : 1261,
+                        message: more ? `Line ${line} was truncated; it contained more data than there were input columns` : `Line ${line} doesn't contain data for all columns`,
+                        line: line,
+                        column: null
+                    });
+                };
+                
+                let toRow = function(record){
+                    let row = [];
+                    columns.forEach(function(column, i){
+                        if(column === null) return;
+                        // A missing field is NULL to a transform, like the user variable LOAD DATA reads it into
+                        if(compiled[i]) return row.push(mysql.raw(compiled[i](mysql.escape(i < record.length ? record[i] : null))));
+                        row.push(i < record.length ? record[i] : DEFAULT);
+                    });
+                    return row;
+                };
+                
+                input.on('error', finish);
+                parser.on('error', finish);
+                parser.on('data', function(record){
+                    if(headerRow) return headerRow = false;
+                    checkFields(record, lines + batch.length + 1);
+                    batch.push(toRow(record));
+                    if(batch.length < batchSize) return;
+                    parser.pause();
+                    flushing = true;
+                    flush(function(err){
+                        flushing = false;
+                        if(err) return finish(err);
+                        // The parser can end while the last full batch is still being inserted
+                        if(ended) return flush(finish);
+                        parser.resume();
+                    });
+                });
+                parser.on('end', function(){
+                    ended = true;
+                    if(!flushing) flush(finish);
+                });
+                input.pipe(parser);
+            };
             
+            new Promise(function(resolve,reject){
+                if(headers.length) return resolve(headers);
+                self.getTableHeaders(table).then(resolve).catch(reject);
+            })
+            .then(function(fields){
+                columns = fields;
+                compiled = transform.forColumns(columns, transforms);
+                return self.withConnection(function(scope, db){
+                    return new Promise(function(resolve,reject){
+                        insert(db, resolve, reject);
+                    });
+                });
+            })
+            .then(resolve)
+            .catch(reject);
+        });
+    }
+    
+    /**
+     * insertFromStagingTable
+     * Copies the rows of table_staging into table, then drops table_staging
+     * Used by importFileToTable for incremental loads. The staging table must have the same structure as the table, see createStagingTable
+     * Inserted counts are worked out from the row count of the table, they assume nothing else writes to the table during the load.
+     * An upsert counts a row that matches one in the table on key with the same values as skipped, the other matching rows as updated
+     * @param  {string}         table                Name of target table
+     * @param  {String}         [mode="append"]      "append" inserts all rows and fails on duplicate keys, "ignore" skips rows with duplicate keys, "upsert" updates rows with duplicate keys
+     * @param  {string | array} [key]                Unique key column(s) for upsert. A matching PRIMARY or UNIQUE index must exist on the table. Defaults to the first unique key of the table.
+     *                                               It's what skipped rows are counted on, MySQL still matches a duplicate on any unique key of the table.
+     * @param  {String}         [onDuplicate="update"] How upsert handles a duplicate. "update" uses INSERT ... ON DUPLICATE KEY UPDATE, "replace" uses REPLACE
+     * @return {Promise | object}                    {rows, inserted, updated, skipped}
+     */
+    insertFromStagingTable({table, mode = 'append', key = null, onDuplicate = 'update'}) {
+        const self = this;
+        
+        return new Promise(function(resolve,reject){
+            if(!table) return reject(new Error("MySQL Class / insertFromStagingTable Method - Missing Table Parameter"));
+            if(!_.includes(['append', 'ignore', 'upsert'], mode)) return reject(new Error(`MySQL Class / insertFromStagingTable Method - Unknown mode "${mode}". Must be append, ignore or upsert`));
+            if(!_.includes(['update', 'replace'], onDuplicate)) return reject(new Error(`MySQL Class / insertFromStagingTable Method - Unknown onDuplicate "${onDuplicate}". Must be update or replace`));
+            
+            let staging = `${table}_staging`,
+                counts = {};
+            
+            let countRows = function(scope, name){
+                return scope.query('SELECT COUNT(*) AS count FROM ??', name)
+                .then(function(results){
+                    return results[0].count;
+                });
+            };
+            
+            // Unique key the upsert is matched on, as an array of columns
+            let uniqueKey = function(scope){
+                if(mode !== 'upsert') return null;
+                return uniqueKeys(scope, table)
+                .then(function(keys){
+                    if(!_.size(keys)) throw new Error(`MySQL Class / insertFromStagingTable Method - ${table} has no PRIMARY or UNIQUE key to upsert on`);
+                    if(!key) return _.values(keys)[0];
+                    let match = _.find(keys, function(columns){
+                        return _.isEqual(_.sortBy(columns), _.sortBy(_.concat([], key)));
+                    });
+                    if(!match) throw new Error(`MySQL Class / insertFromStagingTable Method - ${table} has no PRIMARY or UNIQUE key on (${_.concat([], key).join(', ')}) to upsert on`);
+                    return match;
+                });
+            };
+            
+            // Staging rows that match a row of the table on the key with the same value in every column, an upsert leaves them as they are.
+            // Counted rather than read from affectedRows, which counts an unchanged row as 1 when the connection has the FOUND_ROWS flag, the mysql driver's default
+            let countUnchanged = function(scope, keyColumns, columns){
+                let match = keyColumns.map(function(column){ column = mysql.escapeId(column, true); return `\`t\`.${column} = \`s\`.${column}`; }).join(' AND '),
+                    same = columns.map(function(column){ column = mysql.escapeId(column, true); return `\`t\`.${column} <=> \`s\`.${column}`; }).join(' AND ');
+                return scope.query(`SELECT COUNT(*) AS count FROM ${mysql.escapeId(staging)} AS \`s\` INNER JOIN ${mysql.escapeId(table)} AS \`t\` ON ${match} WHERE ${same}`)
+                .then(function(results){
+                    return results[0].count;
+                });
+            };
+            
+            let statement = function(scope, keyColumns, columns){
+                if(mode === 'append') return scope.query('INSERT INTO ?? SELECT * FROM ??', table, staging);
+                if(mode === 'ignore') return scope.query('INSERT IGNORE INTO ?? SELECT * FROM ??', table, staging);
+                if(onDuplicate === 'replace') return scope.query('REPLACE INTO ?? SELECT * FROM ??', table, staging);
+                let updates = _.difference(columns, keyColumns);
+                if(!updates.length) updates = keyColumns.slice(0, 1);
+                let set = updates.map(function(column){ column = mysql.escapeId(column, true); return `${column} = VALUES(${column})`; }).join(', ');
+                return scope.query(`INSERT INTO ${mysql.escapeId(table)} SELECT * FROM ${mysql.escapeId(staging)} ON DUPLICATE KEY UPDATE ${set}`);
+            };
+            
+            // The counts and the insert share a transaction, a failed insert leaves the table as it was
+            self.transaction(function(scope){
+                let keyColumns = null,
+                    columns = null;
+                return Promise.all([uniqueKey(scope), countRows(scope, staging), countRows(scope, table)])
+                .then(function(results){
+                    keyColumns = results[0];
+                    counts.rows = results[1];
+                    counts.before = results[2];
+                    counts.unchanged = 0;
+                    if(mode !== 'upsert') return;
+                    return scope.getTableHeaders(table)
+                    .then(function(headers){
+                        columns = headers;
+                        return countUnchanged(scope, keyColumns, columns);
+                    })
+                    .then(function(unchanged){
+                        counts.unchanged = unchanged;
+                    });
+                })
+                .then(function(){
+                    self.logger.debug('Inserting from staging table', {table: table, rows: counts.rows, mode: mode});
+                    return statement(scope, keyColumns, columns);
+                })
+                .then(function(results){
+                    if(mode !== 'upsert') return counts.before + results.affectedRows;
+                    return countRows(scope, table);
+                });
+            })
+            .then(function(after){
+                let inserted = after - counts.before,
+                    // Every other row matched an existing one and was updated
+                    updated = mode === 'upsert' ? Math.max(counts.rows - inserted - counts.unchanged, 0) : 0;
+                counts = {rows: counts.rows, inserted: inserted, updated: updated, skipped: counts.rows - inserted - updated};
+                return self.dropTable(staging);
+            })
+            .then(function(){
+                self.logger.info('Inserted from staging table', _.assign({operation: 'insert', table: table, mode: mode}, counts));
+                resolve(counts);
+            })
+            .catch(reject);
+        });
+    }
+    
+    /**
+     * diffTables
+     * Compares two tables with the same key, ex: a table and the staging table of its next load, and finds the rows added, removed and changed
+     * Rows are matched on key, a changed row has a different value in any of columns, see diffQuery in lib/diff.js
+     * @param  {string}         left      The old table, ex: contacts
+     * @param  {string}         right     The new table, ex: contacts_staging
+     * @param  {string | array} [key]     Key column(s) rows are matched on. Defaults to the first PRIMARY or UNIQUE key of left
+     * @param  {array}          [columns] Columns compared for changed rows. Defaults to every column of both tables other than the key
+     * @param  {string}         [tables]  Write the rows to tables named after this one, ex: contacts_added, contacts_removed and contacts_changed. Existing tables are replaced
+     * @param  {object}         [files]   Export the rows to files, {added, removed, changed} each a filepath or exportFileFromTable options
+     * @return {Promise | object}         {added, removed, changed} row counts, with the names of the tables written as tables and the results of the exports as files when asked for
+     */
+    diffTables({left, right, key = null, columns = null, tables = null, files = null}) {
+        const self = this;
+        
+        return new Promise(function(resolve,reject){
+            if(!left || !right) return reject(new Error("MySQL Class / diffTables Method - Missing Table Parameter, left and right are required"));
+            if(files !== null && !_.isPlainObject(files)) return reject(new Error("MySQL Class / diffTables Method - files must be an object, ex: {added: './added.csv'}"));
+            let unknown = _.difference(_.keys(files), differ.KINDS);
+            if(unknown.length) return reject(new Error(`MySQL Class / diffTables Method - Unknown files ${unknown.join(', ')}. Must be ${differ.KINDS.join(', ')}`));
+            let missing = _.find(differ.KINDS, function(kind){
+                return files && _.has(files, kind) && !_.isString(files[kind]) && !(_.isPlainObject(files[kind]) && files[kind].filepath);
+            });
+            if(missing) return reject(new Error(`MySQL Class / diffTables Method - files.${missing} must be a filepath or an object with a filepath`));
+            
+            let started = Date.now(),
+                results = {added: 0, removed: 0, changed: 0},
+                spec = {left: left, right: right};
+            
+            Promise.all([left, right].map(function(table){
+                return self.tableExists(table)
+                .catch(function(){
+                    throw new Error(`MySQL Class / diffTables Method - No matching table found for ${table}`);
+                })
+                .then(function(){
+                    return self.getTableHeaders(table);
+                });
+            }))
+            .then(function(headers){
+                let shared = _.intersection(headers[0], headers[1]);
+                return (key ? Promise.resolve(_.concat([], key)) : uniqueKeys(self, left).then(function(keys){
+                    if(!_.size(keys)) throw new Error(`MySQL Class / diffTables Method - ${left} has no PRIMARY or UNIQUE key, pass the key to match rows on`);
+                    return _.values(keys)[0];
+                }))
+                .then(function(keyColumns){
+                    let absent = _.difference(_.concat(keyColumns, columns || []), shared);
+                    if(absent.length) throw new Error(`MySQL Class / diffTables Method - ${absent.join(', ')} ${absent.length > 1 ? "aren't columns" : "isn't a column"} of both ${left} and ${right}`);
+                    spec.key = keyColumns;
+                    spec.columns = columns ? _.concat([], columns) : _.difference(shared, keyColumns);
+                    self.logger.debug('Diffing tables', {left: left, right: right, key: spec.key, columns: spec.columns});
+                });
+            })
+            .then(function(){
+                // One change at a time, each is a join of both tables
+                return new Promise(function(resolve,reject){
+                    async.eachSeries(differ.KINDS, function(kind, next){
+                        let sql = differ.diffQuery(kind, spec),
+                            name = tables ? `${tables}_${kind}` : null,
+                            counted;
+                        if(name) {
+                            counted = self.dropTable(name)
+                            .then(function(){
+                                return self.query(`CREATE TABLE ${mysql.escapeId(name)} ${sql}`);
+                            })
+                            .then(function(created){
+                                results.tables = _.assign(results.tables || {}, {[kind]: name});
+                                return created.affectedRows;
+                            });
+                        } else {
+                            counted = self.query(`SELECT COUNT(*) AS count FROM (${sql}) AS \`diff\``)
+                            .then(function(rows){
+                                return rows[0].count;
+                            });
+                        }
+                        counted
+                        .then(function(count){
+                            results[kind] = count;
+                            if(!files || !files[kind]) return;
+                            // Exports read the result table when there is one, instead of diffing again
+                            let output = _.isString(files[kind]) ? {filepath: files[kind]} : files[kind];
+                            return self.exportFileFromTable(_.assign(_.omit(output, ['table', 'sql', 'where']), name ? {table: name} : {sql: sql}))
+                            .then(function(exported){
+                                results.files = _.assign(results.files || {}, {[kind]: exported});
+                            });
+                        })
+                        .then(function(){ next(); }, next);
+                    }, function(err){
+                        if(err) return reject(err);
+                        resolve();
+                    });
+                });
+            })
+            .then(function(){
+                let details = {left: left, right: right, added: results.added, removed: results.removed, changed: results.changed, duration: Date.now() - started};
+                self.logger.info('Tables diffed', _.assign({operation: 'diff'}, details));
+                self.emit('diffed', details);
+                resolve(results);
+            })
+            .catch(reject);
+        });
+    }
+    
+    /**
+     * dedupeTable
+     * Removes the rows of a table with the same keys, keeping one of each, see removedQuery in lib/dedupe.js
+     * The duplicates are deleted in place in one transaction, so indexes, foreign keys and rows written meanwhile are kept.
+     * Rows are numbered by the AUTO_INCREMENT column of the table. Other tables get a __row column for the dedupe, dropped after,
+     * numbered in primary key order or, without a primary key, in the order the rows were written.
+     * Keys can be normalized first so ex: " Rey@Jedi.com" and "rey@jedi.com" are duplicates, the rows kept store the normalized keys.
+     * @param  {string}         table           Name of the table
+     * @param  {string | array} keys            Column(s) rows are compared on
+     * @param  {bool | string | array | object} [normalize] Transforms applied to the keys, see loadFile. true trims and lowercases them, an object gives the transforms by key
+     * @param  {String}         [keep="first"]  Row kept of each set of duplicates, "first", "last" or "most-complete", the one with the most values that aren't NULL or empty
+     * @param  {String}         [method="auto"] "window" uses ROW_NUMBER(), "group" uses GROUP_CONCAT for servers without window functions, "auto" picks by the server version
+     * @return {Promise | object}               {rows, removed, method} - rows left in the table, duplicates removed and the method used
+     */
+    dedupeTable({table, keys, normalize = null, keep = "first", method = "auto"}) {
+        const self = this;
+        
+        return new Promise(function(resolve,reject){
+            if(!table) return reject(new Error("MySQL Class / dedupeTable Method - Missing Table Parameter"));
+            keys = _.compact(_.concat([], keys));
+            if(!keys.length) return reject(new Error("MySQL Class / dedupeTable Method - Missing keys, the column(s) duplicates are found by"));
+            if(!_.includes(deduper.KEEP, keep)) return reject(new Error(`MySQL Class / dedupeTable Method - Unknown keep "${keep}". Must be ${deduper.KEEP.join(', ')}`));
+            if(!_.includes(deduper.METHODS, method)) return reject(new Error(`MySQL Class / dedupeTable Method - Unknown method "${method}". Must be ${deduper.METHODS.join(', ')}`));
+            let normalized;
+            try {
+                normalized = deduper.normalizers(keys, normalize);
+            } catch(err) {
+                return reject(new Error('MySQL Class / dedupeTable Method - ' + err.message));
+            }
+            
+            let row = deduper.ROW,
+                added = false,
+                started = Date.now(),
+                counts = {};
+            
+            let dropRow = function(){
+                return added ? self.query('ALTER TABLE ?? DROP COLUMN ??', table, row) : Promise.resolve();
+            };
+            
+            self.tableExists(table)
+            .catch(function(){
+                throw new Error(`MySQL Class / dedupeTable Method - No matching table found for ${table}`);
+            })
+            .then(function(){
+                return Promise.all([self.query('SHOW COLUMNS FROM ??', table), method !== 'auto' ? null : self.query('SELECT VERSION() AS version')]);
+            })
+            .then(function(results){
+                let columns = results[0].map(function(column){ return column.Field; }),
+                    increment = _.find(results[0], function(column){ return /auto_increment/i.test(column.Extra); }),
+                    absent = _.difference(keys, columns);
+                if(absent.length) throw new Error(`MySQL Class / dedupeTable Method - ${absent.join(', ')} ${absent.length > 1 ? "aren't columns" : "isn't a column"} of ${table}`);
+                if(!increment && _.includes(columns, deduper.ROW)) throw new Error(`MySQL Class / dedupeTable Method - ${table} has a ${deduper.ROW} column, which is used to number the rows`);
+                if(method === 'auto') method = deduper.windowFunctions(results[1][0].version) ? 'window' : 'group';
+                if(increment) row = increment.Field;
+                self.logger.debug('Deduping table', {table: table, keys: keys, keep: keep, method: method, row: row});
+                
+                // Rebuilding the table numbers the rows in the order of its clustered index
+                return (increment ? Promise.resolve() : self.query('ALTER TABLE ?? ADD COLUMN ?? BIGINT UNSIGNED NOT NULL AUTO_INCREMENT UNIQUE KEY', table, row))
+                .then(function(){
+                    added = !increment;
+                    return self.transaction(function(scope){
+                        let removed = deduper.removedQuery({table: table, columns: columns, keys: keys, normalized: normalized, keep: keep, method: method, row: row}),
+                            number = mysql.escapeId(row, true);
+                        return scope.query(`DELETE \`t\` FROM ${mysql.escapeId(table)} AS \`t\` INNER JOIN (${removed}) AS \`removed\` ON \`removed\`.${number} = \`t\`.${number}`)
+                        .then(function(deleted){
+                            counts.removed = deleted.affectedRows;
+                            let sql = deduper.normalizeQuery({table: table, keys: keys, normalized: normalized});
+                            if(sql) return scope.query(sql);
+                        })
+                        .then(function(){
+                            return scope.query('SELECT COUNT(*) AS `rows` FROM ??', table);
+                        })
+                        .then(function(rows){
+                            counts.rows = rows[0].rows;
+                        });
+                    });
+                })
+                .then(dropRow, function(err){
+                    self.logger.error('Deduping failed, the table is left as it was', {operation: 'dedupe', table: table, error: err.message});
+                    return dropRow()
+                    .then(function(){
+                        throw err;
+                    });
+                });
+            })
+            .then(function(){
+                let details = {table: table, keys: keys, keep: keep, method: method, rows: counts.rows, removed: counts.removed, duration: Date.now() - started};
+                self.logger.info('Table deduped', _.assign({operation: 'dedupe'}, details));
+                self.emit('deduped', details);
+                resolve({rows: details.rows, removed: details.removed, method: method});
+            })
+            .catch(reject);
         });
     }
     
@@ -328,38 +1472,161 @@ module.exports = class MySQL {
      * importFileToTable
      * Imports a delimited text file into an existing table
      * An existing table is required
-     * First creates a staging version of the table, loads the data, then swaps the two tables
+     * First creates a staging version of the table and loads the data into it.
+     * In replace mode the staging table is then swapped with the table, other modes insert the staging rows into the table.
      * @param  {string} filepath        Path of file to target file
      * @param  {string} table           Table where data will be loaded. If none is provided, falls back to name of file
      * @param  {array}  [headers]       Headers of the file to import, will import null to tables that are in the table but not passed in this array. Blank will import all headers in the file.
      * @param  {String} [delimiter=","] Delimiter in file for parsing header, defaults to ","
      * @param  {String} [quotes=""]     Character wrapping field values
+     * @param  {String} [escape="\\"]   Escape character
      * @param  {String} [newline="\n"]  Character terminating lines of a each line in the file
-     * @return {promsie}                resovles promsie with number of rows imported
+     * @param  {String} [loader="auto"] How the file is loaded, see loadFile
+     * @param  {Number} [batchSize=1000] Rows per INSERT statement when loading with inserts
+     * @param  {String} [mode="replace"] "replace" swaps the table with the file contents, "append", "ignore" and "upsert" add the file to the table, see insertFromStagingTable
+     * @param  {string | array} [key]   Unique key column(s) for upsert mode
+     * @param  {String} [onDuplicate="update"] "update" or "replace" rows with duplicate keys in upsert mode
+     * @param  {Number} [maxErrors]     Reject the import when loading raises more warnings than this. The staging table is dropped and the table is left untouched
+     * @param  {bool}   [report=false]  Resolve {rows, warningCount, warnings} instead of the number of rows
+     * @param  {bool}   [backup=false]  In replace mode keep the replaced table as table_backup, see rollbackTable
+     * @param  {object} [validate]      Check the file first with validateFile {required, rules, maxErrors, sanitize}. An invalid file is rejected before any table is touched, the result is on err.report
+     * @param  {String} [compression="auto"] Compression of the file, see sampleFile. The default table name drops the compression extension too
+     * @param  {String} [drift="ignore-extra"] How the file headers are matched to the table columns by name, see detectDrift. "fail" rejects a file with added or missing columns,
+     *                                  "ignore-extra" skips added columns, "auto-add-columns" adds them to the table as VARCHAR(1000) before staging. Any drift found is logged and emitted.
+     *                                  "position" loads fields into the columns in order with no drift check, like passing headers does
+     * @param  {object} [map]           Column for headers of the file, ex: {"First Name": "first"}, see detectDrift. Headers with no column are skipped unless drift says otherwise
+     * @param  {object} [transforms]    Transforms by column, ex: {email: ["trim", "lower"], signup: {date: "MM/DD/YYYY"}}, see loadFile
+     * @param  {String} [format="csv"]  "csv" for delimited files, "ndjson" or "json" for JSON records, their flattened keys are the headers loaded by name, see lib/json.js
+     * @param  {String} [separator="_"] JSON only. Joins the keys of nested objects, ex: address_city
+     * @param  {Number} [sample=1000]   JSON only. Records read to find the keys, keys only found past the sample are left out
+     * @param  {bool | object} [diff]   Replace mode only. Compare the staging table with the table before the swap, see diffTables. Takes {key, columns, tables, files}, true writes the changes to table_added, table_removed and table_changed
+     * @return {promsie}                resovles promsie with number of rows imported, or {rows, inserted, updated, skipped, warningCount, warnings} for modes other than replace
+     *                                  With diff resolves {rows, warningCount, warnings, diff}, diff is what diffTables resolves
      */
-    importFileToTable({filepath, table = "", headers = [], delimiter = ",", quotes = '', newline = "\n"}) {
-        const self = this;
+    importFileToTable({filepath, table = "", headers = [], delimiter = ",", quotes = '', escape = "\\", newline = "\n", loader = "auto", batchSize = 1000, mode = "replace", key = null, onDuplicate = "update", maxErrors = null, report = false, backup = false, validate = null, compression = "auto", drift = null, map = null, transforms = {}, format = "csv", separator = "_", sample = 1000, diff = null}) {
+        const self = this,
+              options = arguments[0];
         
         return new Promise(function(resolve,reject){
             if(!filepath) return reject(new Error("MySQL Class / importFileToTable Method - Missing File Path"));
-            if(!table) table = path.parse(filepath).name;
+            if(diff && mode !== 'replace') return reject(new Error("MySQL Class / importFileToTable Method - diff only works in replace mode, other modes don't replace the table"));
+            if(diff && diff !== true && !_.isPlainObject(diff)) return reject(new Error("MySQL Class / importFileToTable Method - diff must be true or an object of diffTables options"));
+            if(format !== 'csv' && !_.includes(json.FORMATS, format)) return reject(new Error(`MySQL Class / importFileToTable Method - Unknown format "${format}". Must be csv, ${json.FORMATS.join(', ')}`));
+            if(format !== 'csv') {
+                // The converted file is named at random, the table is named after the JSON file
+                return fromJson(self, 'importFileToTable', filepath, {format: format, separator: separator, sample: sample, compression: compression}, function(converted){
+                    return self.importFileToTable(_.assign({}, options, CONVERTED, {filepath: converted, table: table || compress.baseName(filepath)}));
+                })
+                .then(resolve)
+                .catch(reject);
+            }
+            if(!_.includes(['replace', 'append', 'ignore', 'upsert'], mode)) return reject(new Error(`MySQL Class / importFileToTable Method - Unknown mode "${mode}". Must be replace, append, ignore or upsert`));
+            if(drift !== null && !_.includes(DRIFT_POLICIES, drift)) return reject(new Error(`MySQL Class / importFileToTable Method - Unknown drift policy "${drift}". Must be ${DRIFT_POLICIES.join(', ')}`));
+            try {
+                _.each(transforms, transform.compile);
+            } catch(err) {
+                return reject(new Error('MySQL Class / importFileToTable Method - ' + err.message));
+            }
+            if(drift === 'position' && map) return reject(new Error("MySQL Class / importFileToTable Method - map can't be used with the position drift policy, mapped columns are loaded by name"));
+            if(((drift && drift !== 'position') || map) && headers.length) return reject(new Error("MySQL Class / importFileToTable Method - headers can't be used with drift or map, the columns are matched to the file's own headers"));
+            if(!table) table = compress.baseName(filepath);
             
-            self.tableExists(table)
+            // Headers passed in are loaded in order, like the position policy
+            let fields = headers,
+                policy = drift === 'position' || headers.length ? null : drift || 'ignore-extra';
+            
+            checkFile(self, 'importFileToTable', filepath, validate, {delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, compression: compression})
             .then(function(){
+                return self.tableExists(table)
+                .catch(function(){
+                    throw new Error(`No matching table found for ${table}`);
+                });
+            })
+            .then(function(){
+                if(!policy) return;
+                return self.detectDrift({filepath: filepath, table: table, delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, compression: compression, map: map || {}})
+                .then(function(found){
+                    if(found.drifted) {
+                        self.logger.warn('File headers drifted from the table columns', {table: table, file: filepath, policy: policy, added: found.added, missing: found.missing, reordered: found.reordered});
+                        self.emit('drift', {table: table, filepath: filepath, policy: policy, added: found.added, missing: found.missing, reordered: found.reordered});
+                    }
+                    if(policy === 'fail' && (found.added.length || found.missing.length)) {
+                        let err = new Error(`MySQL Class / importFileToTable Method - The headers of ${filepath} don't match the columns of ${table}. Added: ${found.added.join(', ') || 'none'}. Missing: ${found.missing.join(', ') || 'none'}`);
+                        err.report = found;
+                        throw err;
+                    }
+                    let unmatched = _.intersection(found.added, _.values(map));
+                    if(policy !== 'auto-add-columns' && unmatched.length) throw new Error(`MySQL Class / importFileToTable Method - map loads headers into ${unmatched.join(', ')}, which ${unmatched.length > 1 ? "aren't columns" : "isn't a column"} of ${table}`);
+                    if(policy === 'auto-add-columns' && found.added.length) {
+                        // Added before the staging table is copied from the table, so both get the new columns
+                        let sql = `ALTER TABLE ${mysql.escapeId(table)} ` + found.added.map(function(name){
+                            return `ADD COLUMN ${mysql.escapeId(name, true)} ${schema.DEFAULT_TYPE}`;
+                        }).join(', ');
+                        self.logger.info('Adding the new columns of the file to the table', {table: table, file: filepath, columns: found.added});
+                        return self.query(sql)
+                        .then(function(){
+                            fields = found.mapping.map(function(column, i){ return column === null ? found.headers[i] : column; });
+                        });
+                    }
+                    if(!_.compact(found.mapping).length) throw new Error(`MySQL Class / importFileToTable Method - None of the headers of ${filepath} match a column of ${table}`);
+                    fields = found.mapping;
+                });
+            })
+            .then(function(){
+                // Transforms of columns that aren't loaded are caught before the staging table is made
+                if(fields.length) {
+                    try {
+                        transform.forColumns(fields, transforms);
+                    } catch(err) {
+                        throw new Error('MySQL Class / importFileToTable Method - ' + err.message);
+                    }
+                }
                 return self.createStagingTable(table);
-            }, function(){
-                reject(new Error(`No matching table found for ${table}`));
             })
             .then(function(){
-                return self.query(`LOAD DATA LOCAL INFILE '${filepath}' INTO TABLE ${table}_staging FIELDS TERMINATED BY '${delimiter}' ENCLOSED BY '${quotes}' LINES TERMINATED BY '${newline}' IGNORE 1 LINES (${headers.join(', ')})`);
+                return self.loadFile({filepath: filepath, table: `${table}_staging`, headers: fields, delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, loader: loader, batchSize: batchSize, maxErrors: maxErrors, compression: compression, transforms: transforms})
+                .catch(function(err){
+                    // Never let a failed load near the live table
+                    self.logger.error('Loading file failed, dropping staging table', {operation: 'import', table: table, file: filepath, error: err.message});
+                    return cleanup(self, `${table}_staging`)
+                    .then(function(){
+                        throw err;
+                    });
+                });
             })
             .then(function(results){
+                self.logger.debug('File loaded into staging table', {table: table, file: filepath, rows: results.rows});
+                let warnings = {warningCount: results.warningCount, warnings: results.warnings};
+                if(mode !== 'replace') {
+                    return self.insertFromStagingTable({table: table, mode: mode, key: key, onDuplicate: onDuplicate})
+                    .then(function(counts){
+                        return _.assign(counts, {rows: results.rows}, warnings);
+                    }, function(err){
+                        self.logger.error('Inserting from staging table failed, dropping staging table', {operation: 'import', table: table, file: filepath, error: err.message});
+                        return cleanup(self, `${table}_staging`)
+                        .then(function(){
+                            throw err;
+                        });
+                    });
+                }
+                let changes = null;
                 return new Promise(function(resolve,reject){
-                    if(self.debug) self.log('File loaded with results:', results);
-                    self.swapTables(table)
+                    // The diff sees the live table as it is right before the swap
+                    (diff ? self.diffTables(_.assign({tables: diff === true ? table : null}, diff === true ? {} : diff, {left: table, right: `${table}_staging`})) : Promise.resolve(null))
+                    .then(function(found){
+                        changes = found;
+                        return self.swapTables(table, {backup: backup});
+                    }, function(err){
+                        self.logger.error('Diffing the staging table failed, dropping staging table', {operation: 'import', table: table, file: filepath, error: err.message});
+                        return cleanup(self, `${table}_staging`)
+                        .then(function(){
+                            throw err;
+                        });
+                    })
                     .then(function(){
-                        if(self.debug) self.log('Tables swapped, data fully loaded');
-                        resolve(results.affectedRows);
+                        self.logger.debug('Data fully loaded', {table: table});
+                        if(diff) return resolve(_.assign({rows: results.rows}, warnings, {diff: changes}));
+                        resolve(report ? _.assign({rows: results.rows}, warnings) : results.rows);
                     }).catch(reject);
                 });
             })
@@ -373,35 +1640,141 @@ module.exports = class MySQL {
      * Creates a new table and Imports a delimited text file into that table
      * @param  {string} filepath        Path of file to target file
      * @param  {string} table           Table where data will be loaded. If none is provided, falls back to name of file
-     * @param  {array}  [headers]       Headers of the file to import, will also use this array to create fields in new table. If none is provided, will lookup headers in the file and use those.
+     * @param  {array}  [headers]       Headers of the file to import, will also use this array to create fields in new table. If none is provided, will lookup headers in the file and use those. Can be column objects, see createNewTable.
      * @param  {String} [delimiter=","] Delimiter in file for parsing header, defaults to ","
      * @param  {String} [quotes=""]     Character wrapping field values
+     * @param  {String} [escape="\\"]   Escape character
      * @param  {String} [newline="\n"]  Character terminating lines of a each line in the file
-     * @return {promsie}                resovles promsie with number of rows imported
+     * @param  {bool | Number} [infer=false] Infer column types from a sample of the file. Pass a number to set how many rows are sampled (default 1000)
+     * @param  {object} [columns]       Map of header name to column type, overrides inferred types
+     * @param  {String} [engine]        Storage engine of the new table
+     * @param  {String} [charset]       Default character set of the new table
+     * @param  {String} [collation]     Default collation of the new table
+     * @param  {String} [loader="auto"] How the file is loaded, see loadFile
+     * @param  {Number} [batchSize=1000] Rows per INSERT statement when loading with inserts
+     * @param  {Number} [maxErrors]     Reject the import when loading raises more warnings than this. The new table is dropped, with overwrite the existing table is left as it was
+     * @param  {bool}   [report=false]  Resolve {rows, warningCount, warnings} instead of the number of rows
+     * @param  {bool}   [temporary=false] Create a TEMPORARY table, see createNewTable
+     * @param  {object} [validate]      Check the file first with validateFile, see importFileToTable
+     * @param  {String} [compression="auto"] Compression of the file, see importFileToTable
+     * @param  {String} [format="csv"]  "csv", "ndjson" or "json", see importFileToTable. Keys holding arrays are created as JSON columns
+     * @param  {String} [separator="_"] JSON only. Joins the keys of nested objects
+     * @param  {Number} [sample=1000]   JSON only. Records read to find the keys
+     * @param  {object} [dedupe]        Remove duplicate rows after loading, before the index is added, {keys, normalize, keep, method}, see dedupeTable. keys are headers like index
+     * @return {promsie}                resovles promsie with number of rows imported, or {rows, schema} when infer is used, with warningCount and warnings when report is used
+     *                                  With dedupe the rows imported are the rows left, and removed is the number of duplicates removed
      */
-    importFileAndCreateTable({filepath, table = "", overwrite = false, index = null, headers = [], prependHeaders = false, delimiter = ",", quotes = '', newline = "\n"}) {
-        const self = this;
+    importFileAndCreateTable({filepath, table = "", overwrite = false, index = null, headers = [], prependHeaders = false, delimiter = ",", quotes = '', escape = "\\", newline = "\n", infer = false, columns = {}, engine, charset, collation, loader = "auto", batchSize = 1000, maxErrors = null, report = false, temporary = false, validate = null, compression = "auto", format = "csv", separator = "_", sample = 1000, dedupe = null}) {
+        const self = this,
+              options = arguments[0];
         
         return new Promise(function(resolve,reject){
             if(!filepath) return reject(new Error("MySQL Class / importFileAndCreateTable Method - Missing File Path"));
             if(!fs.existsSync(filepath)) return reject(new Error("MySQL Class / importFileAndCreateTable Method - Cannot find file at " + filepath));
-            if(!table) table = path.parse(filepath).name;
+            if(!table) table = compress.baseName(filepath);
+            if(dedupe && !_.isPlainObject(dedupe)) return reject(new Error("MySQL Class / importFileAndCreateTable Method - dedupe must be an object of dedupeTable options, ex: {keys: 'email'}"));
+            if(dedupe && temporary) return reject(new Error("MySQL Class / importFileAndCreateTable Method - dedupe can't be used with temporary tables, the deduped table is swapped in with RENAME TABLE"));
+            if(format !== 'csv' && !_.includes(json.FORMATS, format)) return reject(new Error(`MySQL Class / importFileAndCreateTable Method - Unknown format "${format}". Must be csv, ${json.FORMATS.join(', ')}`));
+            if(format !== 'csv') {
+                return fromJson(self, 'importFileAndCreateTable', filepath, {format: format, separator: separator, sample: sample, compression: compression}, function(converted, sampled){
+                    // Arrays and objects are kept as JSON, declared columns still win
+                    let types = {};
+                    schema.sanitizeHeaders(sampled.keys).forEach(function(name){
+                        if(_.includes(sampled.arrays, name.original)) types[name.name] = 'JSON';
+                    });
+                    return self.importFileAndCreateTable(_.assign({}, options, CONVERTED, {filepath: converted, table: table, columns: _.assign(types, columns)}));
+                })
+                .then(resolve)
+                .catch(reject);
+            }
+            let inferred = null,
+                // With overwrite the table is built as table_staging and swapped in once it's loaded, so a bad file never replaces the table
+                target = overwrite && !temporary ? `${table}_staging` : table;
             
-            new Promise(function(resolve, reject){
-                if(headers.length) return resolve(headers);
-                self.getFileHeaders(filepath, delimiter).then(resolve).catch(reject);
+            checkFile(self, 'importFileAndCreateTable', filepath, validate, {delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, compression: compression})
+            .then(function(){
+                if(headers.length) return headers;
+                return self.getFileHeaders(filepath, delimiter, {quotes: quotes, escape: escape, newline: newline, compression: compression});
+            })
+            .then(function(fileHeaders){
+                if(!infer) return fileHeaders;
+                return self.sampleFile({filepath: filepath, delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, rows: _.isNumber(infer) ? infer : 1000, compression: compression})
+                .then(function(sample){
+                    // Values are matched to headers by position, the same way LOAD DATA assigns them
+                    // Types declared on column objects win over inferred ones
+                    inferred = inferColumns(fileHeaders.map(function(header){ return _.isString(header) ? header : header.name; }), sample.rows, columns)
+                    .map(function(column, i){
+                        return _.isString(fileHeaders[i]) || !fileHeaders[i].type ? column : {name: column.name, type: fileHeaders[i].type};
+                    });
+                    self.logger.debug('Inferred schema', {table: table, columns: inferred});
+                    columns = _.fromPairs(inferred.map(function(column){ return [column.name, column.type]; }));
+                    return fileHeaders;
+                });
             })
             .then(function(headers){
-                if(self.debug) self.log(`About to create new table ${table}`);
-                return self.createNewTable({filepath: filepath, table: table, overwrite: overwrite, index:index, headers:headers, prependHeaders:prependHeaders});
+                self.logger.debug('About to create new table', {table: table});
+                // With dedupe the index is added once the duplicates are gone
+                return self.createNewTable({filepath: filepath, table: target, overwrite: overwrite, index: dedupe ? null : index, headers:headers, columns:columns, prependHeaders:prependHeaders, temporary:temporary, engine:engine, charset:charset, collation:collation});
             })
             .then(function(){
-                if(self.debug) self.log(`About to load data from ${filepath} into ${table}`);
-                return self.query(`LOAD DATA LOCAL INFILE '${filepath}' INTO TABLE ${table} FIELDS TERMINATED BY '${delimiter}' ENCLOSED BY '${quotes}' LINES TERMINATED BY '${newline}' IGNORE 1 LINES ${headers? '('+ headers.join(', ') +')' : ''}`);
+                self.logger.debug('About to load data', {table: table, file: filepath});
+                let fields = headers.map(function(header){ return _.isString(header) ? header : header.name; });
+                fields = fields.map(function(field){ return prefixColumn(prependHeaders, table, field); });
+                return self.loadFile({filepath: filepath, table: target, headers: fields, delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, loader: loader, batchSize: batchSize, maxErrors: maxErrors, compression: compression})
+                .catch(function(err){
+                    self.logger.error('Loading file failed, dropping table', {operation: 'import', table: target, file: filepath, error: err.message});
+                    return cleanup(self, target)
+                    .then(function(){
+                        throw err;
+                    });
+                });
+            })
+            .then(function(results){
+                self.logger.debug('Loaded file', {table: table, file: filepath, rows: results.rows});
+                if(!dedupe) return results;
+                let prefixed = function(names){
+                    return _.map(_.concat([], names), function(name){ return prefixColumn(prependHeaders, table, name); });
+                };
+                let normalize = _.isPlainObject(dedupe.normalize) ? _.mapKeys(dedupe.normalize, function(transforms, key){ return prefixed(key)[0]; }) : dedupe.normalize;
+                return self.dedupeTable(_.assign({}, dedupe, {table: target, keys: prefixed(dedupe.keys), normalize: normalize}))
+                .then(function(deduped){
+                    if(!index) return deduped;
+                    return self.addIndex(target, prefixed(index)).then(function(){ return deduped; });
+                })
+                .then(function(deduped){
+                    return _.assign(results, {rows: deduped.rows, removed: deduped.removed});
+                }, function(err){
+                    self.logger.error('Deduping failed, dropping table', {operation: 'import', table: target, file: filepath, error: err.message});
+                    return cleanup(self, target)
+                    .then(function(){
+                        throw err;
+                    });
+                });
+            })
+            .then(function(results){
+                if(target === table) return results;
+                return self.swapTables(table)
+                .then(function(){
+                    return results;
+                }, function(err){
+                    self.logger.error('Swapping the new table in failed, dropping it', {operation: 'import', table: table, file: filepath, error: err.message});
+                    return cleanup(self, target)
+                    .then(function(){
+                        throw err;
+                    });
+                });
             })
             .then(function(results){
-                if(self.debug) self.log(`Loaded file, ${results.affectedRows} rows affected`);
-                return results.affectedRows;
+                if(!inferred && !report && !dedupe) return results.rows;
+                let summary = {rows: results.rows};
+                if(report) _.assign(summary, {warningCount: results.warningCount, warnings: results.warnings});
+                if(dedupe) summary.removed = results.removed;
+                if(!inferred) return summary;
+                return _.assign(summary, {
+                    schema: inferred.map(function(column){
+                        return {name: prefixColumn(prependHeaders, table, column.name), type: column.type};
+                    })
+                });
             })
             .then(resolve)
             .catch(reject);
@@ -411,141 +1784,334 @@ module.exports = class MySQL {
     /**
      * exportFileFromTable
      * Takes all data from a table and exports it to file
+     * The "outfile" exporter uses SELECT INTO OUTFILE, the file is written on the MySQL server and needs the FILE privilege.
+     * The "stream" exporter streams the rows over the connection and writes the file locally, only a few rows are held in memory at a time.
      * @param  {string} filepath        Location of where the output file will export to.
      * @param  {String} [table=""]      Name of the table to target, defaults to name of file
      * @param  {Array}  [headers=[]]    Array of headers to export from table, otherwise exports all
      * @param  {String} [delimiter=","] Delimiter of output file
      * @param  {String} [quotes='"']    Optionally wrap values in quotes in output file
      * @param  {String} [newline="n"}]  Newline character in ourput file
-     * @return {Promise}                Resovles true, exports file to disk
+     * @param  {String} [exporter="outfile"] "outfile" or "stream". Defaults to "stream" for formats other than csv, compressed files and part files
+     * @param  {String} [escape=""]     Stream only. Escape character, "" doubles quotes inside quoted values
+     * @param  {String} [quoting="needed"] Stream only. "needed" quotes values holding the delimiter, quotes or line breaks, "all" quotes every value, "none" never quotes
+     * @param  {String} [nullValue=""]  Stream only. Text written for NULL values
+     * @param  {bool}   [header=true]   Write the header row
+     * @param  {String} [encoding="utf8"] Stream only. Encoding of the file
+     * @param  {String} [where]         Filter rows with a WHERE condition, ? placeholders are bound to params
+     * @param  {array}  [params=[]]     Values bound to the ? placeholders of where, or of sql
+     * @param  {string | array} [orderBy] Column(s) to sort by, each optionally followed by ASC or DESC
+     * @param  {Number} [limit]         Max number of rows to export
+     * @param  {String} [sql]           Export the results of a query instead of a table, ? placeholders are bound to params
+     * @param  {String} [compression="auto"] Stream only. "gzip" writes a gzip file, "auto" does when the file name ends in .gz
+     * @param  {String} [format="csv"]  "csv", "tsv", "ndjson", "json" or "fixed-width". Formats other than csv are written by the stream exporter, see RowWriter in lib/writer.js
+     * @param  {array | object} [widths] fixed-width only. Width of each column, in column order or by column name
+     * @param  {object} [align]         fixed-width only. "left" or "right" by column name, left by default
+     * @param  {Number} [maxRows]       Stream only. Split the export into numbered part files of at most this many rows, ex: out_001.csv, see PartWriter in lib/writer.js
+     * @param  {Number} [maxBytes]      Stream only. Split the export into part files of at most this many bytes, counted before compression
+     * @return {Promise}                Resovles with the number of lines written including the header row, or the number of rows for JSON formats, exports file to disk
+     *                                  With maxRows or maxBytes resolves with the manifest {rows, files: [{filepath, rows, bytes, sha256}]}
      */
-    exportFileFromTable({filepath, table = "", headers = [], delimiter = ",", quotes = '"', newline = "\n"}) {
+    exportFileFromTable({filepath, table = "", headers = [], delimiter = ",", quotes = '"', newline = "\n", exporter = null, escape = '', quoting = "needed", nullValue = '', header = true, encoding = "utf8", where = null, params = [], orderBy = null, limit = null, sql = null, compression = "auto", format = "csv", widths = null, align = {}, maxRows = null, maxBytes = null}) {
         const self = this;
         
         return new Promise(function(resolve,reject){
             if(!filepath) return reject(new Error("Missing File Path"));
-            if(!table) table = path.parse(filepath).name;
+            if(!_.includes(FORMATS, format)) return reject(new Error(`MySQL Class / exportFileFromTable Method - Unknown format "${format}". Must be ${FORMATS.join(', ')}`));
+            if(maxRows !== null && (!_.isInteger(maxRows) || maxRows < 1)) return reject(new Error("MySQL Class / exportFileFromTable Method - maxRows must be an integer of 1 or more"));
+            if(maxBytes !== null && (!_.isInteger(maxBytes) || maxBytes < 1)) return reject(new Error("MySQL Class / exportFileFromTable Method - maxBytes must be an integer of 1 or more"));
+            let chunked = maxRows !== null || maxBytes !== null;
+            try {
+                compression = compress.detect(filepath, compression);
+            } catch(err) {
+                return reject(new Error('MySQL Class / exportFileFromTable Method - ' + err.message));
+            }
+            // SELECT INTO OUTFILE only writes plain csv to a single file, everything else is streamed
+            if(!exporter) exporter = format === 'csv' && !chunked && compression === 'none' ? 'outfile' : 'stream';
+            if(!_.includes(['outfile', 'stream'], exporter)) return reject(new Error(`MySQL Class / exportFileFromTable Method - Unknown exporter "${exporter}". Must be outfile or stream`));
+            if(format !== 'csv' && exporter !== 'stream') return reject(new Error(`MySQL Class / exportFileFromTable Method - ${format} files need the stream exporter, SELECT INTO OUTFILE only writes csv`));
+            if(chunked && exporter !== 'stream') return reject(new Error("MySQL Class / exportFileFromTable Method - maxRows and maxBytes need the stream exporter, SELECT INTO OUTFILE writes a single file"));
+            if(sql && where) return reject(new Error("MySQL Class / exportFileFromTable Method - Pass either sql or where. Put the filter in the sql query"));
+            if(limit !== null && (!_.isInteger(limit) || limit < 0)) return reject(new Error("MySQL Class / exportFileFromTable Method - limit must be an integer of 0 or more"));
+            if(compression !== 'none' && compression !== 'gzip') return reject(new Error(`MySQL Class / exportFileFromTable Method - Exports can only be compressed with gzip, not ${compression}`));
+            if(compression === 'gzip' && exporter !== 'stream') return reject(new Error("MySQL Class / exportFileFromTable Method - gzip exports need the stream exporter, SELECT INTO OUTFILE can't compress"));
+            if(!table && !sql) table = compress.baseName(filepath);
             
-            self.tableExists(table)
+            // Rows to export, as a SELECT without the INTO part
+            let source = sql ? `(${mysql.format(sql, params)}) AS \`source\`` : mysql.escapeId(table),
+                ordered = !!(orderBy || limit !== null),
+                json = format === 'json' || format === 'ndjson',
+                // JSON has no header row, the column names are the keys of each object
+                headerRow = header && !json,
+                started = null;
+            
+            let select = function(headers) {
+                let query = `SELECT ${schema.columnList(headers)} FROM ${source}`;
+                if(where) query += ` WHERE ${mysql.format(where, params)}`;
+                if(orderBy) query += ` ORDER BY ${schema.orderList(orderBy)}`;
+                // MySQL drops the ORDER BY of a subquery without a LIMIT, the largest possible LIMIT keeps every row
+                if(limit !== null || (orderBy && exporter === 'outfile')) query += ` LIMIT ${limit !== null ? limit : '18446744073709551615'}`;
+                return query;
+            };
+            
+            // Columns of the query, read from an empty result
+            let queryHeaders = function() {
+                return self.withConnection(function(scope, db){
+                    return new Promise(function(resolve,reject){
+                        let query = `SELECT * FROM ${source} LIMIT 0`;
+                        self.logger.sql(query);
+                        db.query(query, function(err, rows, fields){
+                            if(err) return reject(err);
+                            resolve(fields.map(function(field){ return field.name; }));
+                        });
+                    });
+                });
+            };
+            
+            let outfile = function(headers) {
+                // Needs to copy headers here to include them in the CSV export (rolling eyes emoji)
+                let query = '';
+                if(header) query += `SELECT ${headers.map(function(header){ return mysql.escape(header); }).join(', ')} UNION ALL `;
+                // Sorted and limited rows go in a derived table, ORDER BY and LIMIT would otherwise apply to the header row too
+                query += ordered ? `SELECT * FROM (${select(headers)}) AS \`export\`` : select(headers);
+                query += ` INTO OUTFILE ${mysql.escape(filepath)} FIELDS TERMINATED BY ${mysql.escape(delimiter)} OPTIONALLY ENCLOSED BY ${mysql.escape(quotes)} LINES TERMINATED BY ${mysql.escape(newline)}`;
+                return self.query(query)
+                .then(function(results){
+                    return results.affectedRows;
+                });
+            };
+            
+            let stream = function(headers) {
+                let writer,
+                    options = {format: format, delimiter: delimiter, quotes: quotes, escape: escape, newline: newline, quoting: quoting, nullValue: nullValue, widths: widths, align: align, encoding: encoding, columns: headers, header: headerRow ? headers : null};
+                try {
+                    // Part files are opened by the writer as rows come in
+                    writer = chunked ? new PartWriter(_.assign(options, {filepath: filepath, maxRows: maxRows, maxBytes: maxBytes, compression: compression})) : new RowWriter(options);
+                } catch(err) {
+                    return Promise.reject(new Error('MySQL Class / exportFileFromTable Method - ' + err.message));
+                }
+                let progress = function(){
+                    self.emit('progress', {operation: 'export', table: sql ? null : table, filepath: filepath, rows: writer.count, bytes: writer.bytes});
+                };
+                return self.withConnection(function(scope, db){
+                    return new Promise(function(resolve,reject){
+                        let opened = chunked ? null : compress.createOutput(filepath, {compression: compression}),
+                            done = false;
+                        
+                        let finish = function(err){
+                            if(done) return;
+                            done = true;
+                            if(err) {
+                                // The connection may be part way through a result set, it can't go back to the pool.
+                                // Releasing a destroyed connection afterwards does nothing.
+                                db.destroy();
+                                if(chunked) writer.destroy(err);
+                                else {
+                                    opened.output.destroy();
+                                    opened.file.destroy();
+                                }
+                                return reject(err);
+                            }
+                            self.logger.debug('Streamed rows', {table: table, file: filepath, rows: writer.count});
+                            progress();
+                            if(chunked) return resolve({rows: writer.count, files: writer.parts});
+                            resolve(writer.count + (headerRow ? 1 : 0));
+                        };
+                        
+                        // pipe pauses the query while the file catches up, so memory use stays flat
+                        let query = select(headers);
+                        self.logger.sql(query, {file: filepath});
+                        let rows = db.query({sql: query, typeCast: json ? asJson : asText}).stream();
+                        rows.on('error', finish);
+                        writer.on('error', finish);
+                        if(chunked) {
+                            // The writer finishes once the last part is on disk
+                            writer.on('finish', function(){ finish(); });
+                            rows.pipe(writer);
+                        } else {
+                            opened.output.on('error', finish);
+                            opened.file.on('error', finish);
+                            // With gzip output is the compressor, the data is only on disk once the file finishes
+                            opened.file.on('finish', function(){ finish(); });
+                            rows.pipe(writer).pipe(opened.output);
+                        }
+                        // Registered after pipe, each row has gone through the writer by the time it's counted here
+                        let streamed = 0;
+                        rows.on('data', function(){
+                            if(++streamed % PROGRESS_ROWS === 0) progress();
+                        });
+                    });
+                });
+            };
+            
+            (sql ? Promise.resolve() : self.tableExists(table))
             .then(function(){
                 return new Promise(function(resolve,reject){
+                    // Parts are named after filepath, which isn't written itself
+                    if(chunked) return resolve();
                     fs.unlink(filepath,function(err){
                         resolve();
                     });
                 });
             }, function(){
-                reject(new Error(`exportFile - No matching table found for ${table}`));
+                throw new Error(`exportFile - No matching table found for ${table}`);
             })
             .then(function(){
                 if(headers.length) return headers;
-                return self.getTableHeaders(table);
+                return sql ? queryHeaders() : self.getTableHeaders(table);
             })
             .then(function(headers) {
-                // Needs to copy headers here to include them in the CSV export (rolling eyes emoji)
-                let sql = `SELECT ${headers.map(function(header){ return '\"' + header + '\"'; }).join(', ')}`;
-                sql += ` UNION ALL`;
-                sql += ` SELECT ?? FROM ${table} INTO OUTFILE '${filepath}' FIELDS TERMINATED BY '${delimiter}' OPTIONALLY ENCLOSED BY '${quotes}' LINES TERMINATED BY '${newline}'`;
-                return self.query(sql, headers);
+                self.logger.debug('Exporting', {table: sql ? null : table, file: filepath, exporter: exporter, format: format});
+                started = Date.now();
+                return exporter === 'stream' ? stream(headers) : outfile(headers);
             })
-            .then(function(results){
-                resolve(results.affectedRows);
+            .then(function(lines){
+                let details = {table: sql ? null : table, filepath: filepath, exporter: exporter, format: format, rows: chunked ? lines.rows : lines - (headerRow ? 1 : 0), duration: Date.now() - started};
+                let meta = {operation: 'export', table: details.table, file: filepath, exporter: exporter, rows: details.rows, duration: details.duration};
+                if(chunked) {
+                    details.files = lines.files;
+                    meta.parts = lines.files.length;
+                }
+                self.logger.info('File exported', meta);
+                self.emit('exported', details);
+                return lines;
             })
+            .then(resolve)
             .catch(reject);
         });
     }
     
     /**
      * Merge Multiple Files Together
+     * Every file is imported into its own table, with columns prefixed by the table name, then the tables are joined in the given order
+     * The tables are named after the file tables plus a random suffix, so merges can run side by side, and are always dropped at the end, even when a step fails.
      * @param  {array}  files  Collection of file objects that describe the files being imported. Same as importFileAndCreateTable.
-     * @param  {object} merge  Object describing how tables map together {"table.field": "othertable".field}
-     * @param  {String} output Output location of the final file
+     * @param  {array | object} merge  Join specs in join order [{table}, {table, type: "inner" | "left" | "right" | "full", on: {"table.field": "othertable.field"}}],
+     *                                 or an object describing how tables map together {"table.field": "othertable".field}, which inner joins the files in order
+     * @param  {string | object} output Output location of the final file, or {filepath, columns, distinct, ...exportFileFromTable options}
+     *                                  columns are "table.field" references or {name, from: "table.field" | ["table.field", "othertable.field"]}, see selectList in lib/merge.js
+     * @param  {bool}   [temporary=false] Use TEMPORARY tables on a single connection. MySQL drops them even if the process dies. Can't be used with full joins
      * @return {Promise}       Resolved promised when done with number of rows exported
      */
-    mergeFiles(files, merge, output) {
+    mergeFiles(files, merge, output, {temporary = false} = {}) {
         const self = this;
-        if(self.debug) self.log(`Starting merge of ${_.size(files)} files`);
+        self.logger.debug('Starting merge', {files: _.size(files)});
         
         return new Promise(function(resolve,reject){
-            if(!files || !_.isArray(files) || !files.length) return reject("MySQL Class // MergeFiles - The 'files' parameter (1) is missing, or misformatted. Must be an array of objects");
-            if(!merge) return reject("MySQL Class // MergeFiles - The 'merge' parameter (2) is missing, or misformatted. Must be an object");
-            if(!output) return reject("MySQL Class // MergeFiles - The 'output' parameter (3) is missing, or misformatted. Must be a string");
-            let tables = [],
-                mergeTable = null;
-            
-            // Check file properties
-            // Create tables array
-            _.each(files,function(file){
-                if(!file.filepath) return reject("MySQL Class / mergeFiles Method - The file" + file.toString() + "is missing the 'path' property");
-                if(!file.index) return reject("MySQL Class / mergeFiles Method - The file" + file.toString() + "is missing the 'index' property");
-                if(!file.headers || !file.headers.length) file.headers = [];
-                if(!file.delimiter) file.delimiter = ",";
-                if(!file.table) file.table = path.parse(file).name;
-                file.prependHeaders = true;
+            if(!files || !_.isArray(files) || !files.length) return reject(new Error("MySQL Class / mergeFiles Method - The 'files' parameter (1) is missing, or misformatted. Must be an array of objects"));
+            if(!merge) return reject(new Error("MySQL Class / mergeFiles Method - The 'merge' parameter (2) is missing, or misformatted. Must be an array or an object"));
+            if(_.isString(output)) output = {filepath: output};
+            if(!output || !output.filepath) return reject(new Error("MySQL Class / mergeFiles Method - The 'output' parameter (3) is missing, or misformatted. Must be a string or an object with a filepath"));
+            
+            let id = crypto.randomBytes(4).toString('hex'),
+                mergeTable = `merge_${id}`,
+                names = {},
+                specs = [],
+                joins, columns;
+            
+            // Check every file before doing any work
+            for(let i = 0; i < files.length; i++) {
+                let file = files[i],
+                    describe = `The file ${i + 1}${file && file.filepath ? ` (${file.filepath})` : ''}`;
+                if(!_.isPlainObject(file)) return reject(new Error(`MySQL Class / mergeFiles Method - ${describe} must be an object`));
+                if(!file.filepath) return reject(new Error(`MySQL Class / mergeFiles Method - ${describe} is missing the 'filepath' property`));
+                if(!file.index) return reject(new Error(`MySQL Class / mergeFiles Method - ${describe} is missing the 'index' property`));
+                if(!fs.existsSync(file.filepath)) return reject(new Error(`MySQL Class / mergeFiles Method - ${describe} can not be found`));
                 
-                tables.push(file.table);
-            });
+                let table = file.table || compress.baseName(file.filepath);
+                if(names[table]) return reject(new Error(`MySQL Class / mergeFiles Method - More than one file uses the table ${table}`));
+                names[table] = `${table}_${id}`;
+                
+                // Columns are prefixed with the table name given, the table in the database has the merge suffix
+                specs.push(_.assign({}, file, {table: names[table], prependHeaders: table, overwrite: false, temporary: temporary}));
+            }
+            
+            try {
+                joins = merger.normalizeJoins(_.keys(names), merge);
+                columns = merger.selectList(output.columns, _.keys(names));
+                if(temporary && _.find(joins, {type: 'full'})) throw new Error("Full joins can't use temporary tables, MySQL can't open a temporary table twice in one query");
+            } catch(err) {
+                return reject(new Error('MySQL Class / mergeFiles Method - ' + err.message));
+            }
             
             // Import each file into its own table.
             // Prepend table headers with the table name so no conflicts arise
-            let importFiles = function(){
+            // A pinned connection runs one statement at a time, so files are imported one after the other to keep each load's warnings with it
+            // When one import fails the others are left to finish, so the cleanup doesn't race a table still being created
+            let importFiles = function(scope){
                 return new Promise(function(resolve,reject){
-                    async.each(files, function(file, next){
-                        self.importFileAndCreateTable(file)
+                    let failure = null;
+                    (temporary ? async.eachSeries : async.each)(specs, function(file, next){
+                        scope.importFileAndCreateTable(file)
                         .then(function(name){
                             next();
-                        }).catch(next);
-                    }, function(err){
-                        if(err) return reject(err);
-                        if(self.debug) self.log(`Imported all files into tables`);
+                        }, function(err){
+                            failure = failure || err;
+                            next(temporary ? err : null);
+                        });
+                    }, function(){
+                        if(failure) return reject(failure);
+                        self.logger.debug('Imported all files into tables', {merge: id});
                         resolve();
                     });
                 });
             };
             
             // Create merge statement looping over merge object to map tables together
-            let joinIntoTable = function() {
-                return new Promise(function(resolve,reject){
-                    let merges = _.toPairs(merge);
-                    mergeTable = 'merge_' + Math.random().toString(36).substring(7);
-                    
-                    let join = `CREATE TABLE ${mergeTable} SELECT * FROM ${tables.join(', ')}`;
-                    
-                    _.each(merges, function(merge, i){
-                        join += (i === 0) ? ' WHERE' : ' AND';
-                        join += ` ${merge[0]} = ${merge[1]}`;
-                    });
-                    
-                    if(self.debug) self.log(`Merge statement built: ${join}`);
-                    
-                    self.query(join)
-                    .then(function(){
-                        if(self.debug) self.log(`Merged tables into new table ${mergeTable}`);
-                        resolve();
-                    }).catch(reject);
+            let joinIntoTable = function(scope) {
+                let join = `CREATE ${temporary ? 'TEMPORARY ' : ''}TABLE ${mysql.escapeId(mergeTable)} SELECT ${output.distinct ? 'DISTINCT ' : ''}${columns} FROM ${merger.fromClause(joins, names)}`,
+                    started = Date.now();
+                self.logger.debug('Merge statement built', {merge: id, sql: join});
+                return scope.query(join)
+                .then(function(results){
+                    let details = {table: mergeTable, tables: _.values(names), rows: results.affectedRows, duration: Date.now() - started};
+                    self.logger.info('Tables merged', {operation: 'merge', table: mergeTable, rows: details.rows, duration: details.duration});
+                    self.emit('merged', details);
                 });
             };
             
             // Export the merge table to a file
-            let exportToFile = function() {
-                return self.exportFileFromTable({filepath: output, table: mergeTable});
+            let exportToFile = function(scope) {
+                return scope.exportFileFromTable(_.assign(_.omit(output, ['columns', 'distinct', 'sql']), {table: mergeTable}));
             };
             
-            // Drop all tables needed for merge
-            let dropMergeTables = function(rowsExported) {
-                return new Promise(function(resolve,reject){
-                    if(self.debug) self.log(`Dropping file tables ${tables} and the merge table ${mergeTable}`);
-                    self.dropTable(_.concat(mergeTable,tables))
+            // Drop all tables needed for merge, whether they got created or not
+            let dropMergeTables = function(scope) {
+                let tables = _.concat(_.values(names), mergeTable);
+                self.logger.debug('Dropping file tables and the merge table', {merge: id, tables: tables});
+                return cleanup(scope, tables);
+            };
+            
+            let run = function(scope) {
+                return importFiles(scope)
+                .then(function(){
+                    return joinIntoTable(scope);
+                })
+                .then(function(){
+                    return exportToFile(scope);
+                })
+                .then(function(rowsExported){
+                    return dropMergeTables(scope)
                     .then(function(){
-                        resolve(rowsExported);
-                    }).catch(reject);
+                        return rowsExported;
+                    });
+                }, function(err){
+                    self.logger.error('Merge failed, dropping merge tables', {operation: 'merge', merge: id, error: err.message});
+                    // Keep the original error, a failed cleanup is only logged
+                    return dropMergeTables(scope)
+                    .catch(function(dropErr){
+                        self.logger.warn('Cleaning up merge failed', {merge: id, error: dropErr.message});
+                    })
+                    .then(function(){
+                        throw err;
+                    });
                 });
             };
             
             // Merge Files Flow
-            importFiles()
-            .then(joinIntoTable)
-            .then(exportToFile)
-            .then(dropMergeTables)
+            if(!temporary) return run(self).then(resolve).catch(reject);
+            
+            self.withConnection(run)
             .then(resolve)
             .catch(reject);
         });
@@ -0,0 +1,271 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const fs = require('fs'),
+      os = require('os'),
+      path = require('path'),
+      zlib = require('zlib'),
+      crypto = require('crypto'),
+      spawn = require('child_process').spawn,
+      PassThrough = require('stream').PassThrough;
+
+const COMPRESSIONS = ['auto', 'none', 'gzip', 'zip', 'bz2'],
+      EXTENSIONS = {'.gz': 'gzip', '.gzip': 'gzip', '.zip': 'zip', '.bz2': 'bz2'};
+
+// ZIP record signatures and sizes, see APPNOTE.TXT from PKWARE
+const ZIP_END = 0x06054b50,
+      ZIP_ENTRY = 0x02014b50,
+      ZIP_LOCAL = 0x04034b50,
+      ZIP_END_SIZE = 22,
+      ZIP_MAX_COMMENT = 65535;
+
+/**
+ * detect
+ * Works out the compression of a file
+ * @param  {string} filepath             Path of the file
+ * @param  {String} [compression="auto"] "auto" goes by the extension (.gz, .gzip, .zip, .bz2), or "none", "gzip", "zip", "bz2"
+ * @return {string}                      "none", "gzip", "zip" or "bz2"
+ */
+const detect = function(filepath, compression = 'auto') {
+    if(COMPRESSIONS.indexOf(compression) < 0) throw new Error(`Unknown compression "${compression}". Must be ${COMPRESSIONS.join(', ')}`);
+    if(compression !== 'auto') return compression;
+    return EXTENSIONS[path.extname(String(filepath)).toLowerCase()] || 'none';
+};
+
+/**
+ * baseName
+ * Name of a file without its directory, its compression extension and its own extension
+ * @param  {string} filepath ex: ./drops/contacts.csv.gz
+ * @return {string}          ex: contacts
+ */
+const baseName = function(filepath) {
+    let ext = path.extname(filepath);
+    if(EXTENSIONS[ext.toLowerCase()]) filepath = filepath.slice(0, -ext.length);
+    return path.parse(filepath).name;
+};
+
+/**
+ * readRange
+ * Reads length bytes from position of an open file
+ */
+const readRange = function(fd, position, length) {
+    return new Promise(function(resolve,reject){
+        let buffer = Buffer.alloc(length);
+        fs.read(fd, buffer, 0, length, position, function(err, bytesRead){
+            if(err) return reject(err);
+            resolve(buffer.slice(0, bytesRead));
+        });
+    });
+};
+
+/**
+ * zipEntry
+ * Finds the one file in a zip archive from its central directory
+ * Folders and the __MACOSX folder macOS adds are skipped. ZIP64 archives (over 4GB) and encrypted entries aren't supported.
+ * @param  {string} filepath Path of the archive
+ * @return {Promise | object} {name, method, start, size} - start and size of the compressed data in the archive
+ */
+const zipEntry = function(filepath) {
+    let fd = null;
+    let close = function(){
+        if(fd !== null) fs.close(fd, function(){});
+    };
+
+    return new Promise(function(resolve,reject){
+        fs.open(filepath, 'r', function(err, opened){
+            if(err) return reject(err);
+            fd = opened;
+            fs.fstat(fd, function(err, stats){
+                if(err) return reject(err);
+                resolve(stats.size);
+            });
+        });
+    })
+    .then(function(size){
+        let length = Math.min(size, ZIP_END_SIZE + ZIP_MAX_COMMENT);
+        return readRange(fd, size - length, length);
+    })
+    .then(function(tail){
+        // The end of central directory record is last, followed only by the archive comment
+        let end = -1;
+        for(let i = tail.length - ZIP_END_SIZE; i >= 0; i--) {
+            if(tail.readUInt32LE(i) === ZIP_END) { end = i; break; }
+        }
+        if(end < 0) throw new Error(`${filepath} is not a zip archive`);
+        let count = tail.readUInt16LE(end + 10),
+            length = tail.readUInt32LE(end + 12),
+            offset = tail.readUInt32LE(end + 16);
+        if(count === 0xffff || offset === 0xffffffff) throw new Error(`${filepath} is a ZIP64 archive, which isn't supported`);
+        return readRange(fd, offset, length);
+    })
+    .then(function(directory){
+        let entries = [],
+            i = 0;
+        while(i + 46 <= directory.length && directory.readUInt32LE(i) === ZIP_ENTRY) {
+            let nameLength = directory.readUInt16LE(i + 28),
+                name = directory.toString('utf8', i + 46, i + 46 + nameLength);
+            entries.push({
+                name: name,
+                flags: directory.readUInt16LE(i + 8),
+                method: directory.readUInt16LE(i + 10),
+                size: directory.readUInt32LE(i + 20),
+                offset: directory.readUInt32LE(i + 42)
+            });
+            i += 46 + nameLength + directory.readUInt16LE(i + 30) + directory.readUInt16LE(i + 32);
+        }
+        let files = entries.filter(function(entry){
+            return !/\/$/.test(entry.name) && !/^__MACOSX\//.test(entry.name);
+        });
+        if(files.length !== 1) throw new Error(`${filepath} holds ${files.length} files, only archives of a single file can be read`);
+        let entry = files[0];
+        if(entry.flags & 1) throw new Error(`${entry.name} in ${filepath} is encrypted`);
+        if(entry.method !== 0 && entry.method !== 8) throw new Error(`${entry.name} in ${filepath} uses compression method ${entry.method}, only deflate is supported`);
+
+        // The data starts after the local header, whose extra field can differ from the central directory's
+        return readRange(fd, entry.offset, 30)
+        .then(function(local){
+            if(local.length < 30 || local.readUInt32LE(0) !== ZIP_LOCAL) throw new Error(`${filepath} is a damaged zip archive`);
+            return {name: entry.name, method: entry.method, start: entry.offset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28), size: entry.size};
+        });
+    })
+    .then(function(entry){
+        close();
+        return entry;
+    }, function(err){
+        close();
+        throw err;
+    });
+};
+
+/**
+ * openFile
+ * Opens a file for reading, decompressing it on the fly
+ * @param  {string} filepath             Path of the file
+ * @param  {String} [compression="auto"] See detect
+ * @return {object}                      {input, file} - input is the decompressed data, file is the stream reading the file itself, file.bytesRead tracks progress through it
+ */
+const openFile = function(filepath, {compression = 'auto'} = {}) {
+    let type = detect(filepath, compression);
+    if(type === 'none') {
+        let file = fs.createReadStream(filepath);
+        return {input: file, file: file};
+    }
+
+    let input = new PassThrough(),
+        streams = [];
+
+    let fail = function(err){
+        input.destroy(err);
+    };
+    // Stop reading and decompressing when the consumer is done with the data, ex: after reading the header row
+    input.on('close', function(){
+        streams.forEach(function(stream){
+            if(stream.kill) return stream.exitCode === null && stream.kill();
+            stream.destroy();
+        });
+    });
+
+    let decompress = function(file, decompressor){
+        streams.push(file, decompressor);
+        file.on('error', fail);
+        decompressor.on('error', function(err){
+            fail(new Error(`Could not decompress ${filepath} as ${type}: ${err.message}`));
+        });
+        file.pipe(decompressor).pipe(input);
+    };
+
+    if(type === 'gzip') {
+        let file = fs.createReadStream(filepath);
+        decompress(file, zlib.createGunzip());
+        return {input: input, file: file};
+    }
+
+    if(type === 'bz2') {
+        let file = fs.createReadStream(filepath),
+            bzip2 = spawn('bzip2', ['-dc']),
+            errors = '';
+        streams.push(file, bzip2);
+        bzip2.on('error', function(err){
+            fail(err.code === 'ENOENT' ? new Error('Reading bz2 files needs the bzip2 command') : err);
+        });
+        bzip2.stdin.on('error', function(){});
+        bzip2.stderr.on('data', function(data){ errors += data; });
+        bzip2.on('close', function(code){
+            if(code) fail(new Error(`bzip2 could not read ${filepath}: ${errors.trim()}`));
+        });
+        file.on('error', fail);
+        file.pipe(bzip2.stdin);
+        bzip2.stdout.pipe(input);
+        return {input: input, file: file};
+    }
+
+    // zip, the entry has to be found before its data can be streamed.
+    // file is a placeholder until then, so bytesRead can be read at any time.
+    let opened = {input: input, file: {bytesRead: 0}};
+    zipEntry(filepath)
+    .then(function(entry){
+        if(input.destroyed) return;
+        if(!entry.size) return input.end();
+        let file = fs.createReadStream(filepath, {start: entry.start, end: entry.start + entry.size - 1});
+        opened.file = file;
+        if(entry.method === 0) {
+            streams.push(file);
+            file.on('error', fail);
+            return file.pipe(input);
+        }
+        decompress(file, zlib.createInflateRaw());
+    })
+    .catch(fail);
+    return opened;
+};
+
+/**
+ * decompressFile
+ * Writes the decompressed copy of a file to the temp folder, for LOAD DATA which reads files by name
+ * @param  {string} filepath             Path of the file
+ * @param  {String} [compression="auto"] See detect
+ * @return {Promise | string}            Path of the copy, or null when the file isn't compressed. The caller deletes the copy.
+ */
+const decompressFile = function(filepath, {compression = 'auto'} = {}) {
+    return new Promise(function(resolve,reject){
+        let type = detect(filepath, compression);
+        if(type === 'none') return resolve(null);
+
+        let copy = path.join(os.tmpdir(), `nodeetl-${crypto.randomBytes(4).toString('hex')}-${baseName(filepath)}`),
+            input = openFile(filepath, {compression: type}).input,
+            output = fs.createWriteStream(copy);
+        let fail = function(err){
+            input.destroy();
+            output.destroy();
+            fs.unlink(copy, function(){
+                reject(err);
+            });
+        };
+        input.on('error', fail);
+        output.on('error', fail);
+        output.on('finish', function(){
+            resolve(copy);
+        });
+        input.pipe(output);
+    });
+};
+
+/**
+ * createOutput
+ * Opens a file for writing, compressing it on the fly. Only gzip can be written.
+ * @param  {string} filepath             Path of the file
+ * @param  {String} [compression="auto"] See detect
+ * @return {object}                      {output, file} - write to output, the data is on disk once file emits finish
+ */
+const createOutput = function(filepath, {compression = 'auto'} = {}) {
+    let type = detect(filepath, compression);
+    if(type !== 'none' && type !== 'gzip') throw new Error(`Only gzip can be written, not ${type}`);
+    let file = fs.createWriteStream(filepath);
+    if(type === 'none') return {output: file, file: file};
+    let gzip = zlib.createGzip();
+    gzip.pipe(file);
+    return {output: gzip, file: file};
+};
+
+module.exports = {COMPRESSIONS, detect, baseName, openFile, decompressFile, createOutput};
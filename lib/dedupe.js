@@ -0,0 +1,118 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const mysql = require('mysql'),
+      _ = require('lodash'),
+      transform = require('./transform');
+
+const KEEP = ['first', 'last', 'most-complete'],
+      METHODS = ['auto', 'window', 'group'],
+      // Numbers the rows of a table without an AUTO_INCREMENT column while it's deduped, so first and last mean something
+      ROW = '__row';
+
+/**
+ * normalizers
+ * Compiles how each key is normalized before rows are compared, see compile in lib/transform.js
+ * @param  {array}                           keys        Key columns
+ * @param  {bool | string | array | object} [normalize] true trims and lowercases every key, transforms apply to every key, an object gives the transforms by key column
+ * @return {array}                                       Compiled transform of each key, null when it's compared as it is
+ */
+const normalizers = function(keys, normalize) {
+    if(!normalize) return keys.map(function(){ return null; });
+    if(normalize === true) normalize = ['trim', 'lower'];
+    if(!_.isPlainObject(normalize)) {
+        let compiled = transform.compile(normalize);
+        return keys.map(function(){ return compiled; });
+    }
+    let unknown = _.difference(_.keys(normalize), keys);
+    if(unknown.length) throw new Error(`normalize is given for ${unknown.join(', ')}, which ${unknown.length > 1 ? "aren't keys" : "isn't a key"}`);
+    return keys.map(function(key){
+        return _.has(normalize, key) ? transform.compile(normalize[key]) : null;
+    });
+};
+
+/**
+ * windowFunctions
+ * Whether a server has window functions, MySQL 8.0 and MariaDB 10.2 added them
+ * @param  {string} version Result of SELECT VERSION(), ex: 8.0.21 or 10.4.12-MariaDB
+ * @return {bool}
+ */
+const windowFunctions = function(version) {
+    let parts = String(version).split(/[.-]/).map(Number);
+    if(/mariadb/i.test(version)) return parts[0] > 10 || (parts[0] === 10 && parts[1] >= 2);
+    return parts[0] >= 8;
+};
+
+/**
+ * removedQuery
+ * SELECT of the row numbers a dedupe deletes, every row of a set of duplicates but the one kept
+ * Rows with the same normalized keys are duplicates, one of them is kept:
+ * - "first" and "last" go by the row number
+ * - "most-complete" keeps the row with the most values that aren't NULL or empty, the first of them on a tie
+ * Rows with a NULL key, once normalized, aren't duplicates of anything and are all kept.
+ * The "window" method ranks rows with ROW_NUMBER(), the "group" method, for servers without window functions,
+ * picks the row number kept of each group from a sorted GROUP_CONCAT. Only the first number is read, so group_concat_max_len can't cut it short.
+ * @param  {string} table       Name of the table
+ * @param  {array}  columns     Columns of the table, in order, most-complete counts their values
+ * @param  {array}  keys        Key columns
+ * @param  {array}  normalized  Compiled transform of each key, see normalizers
+ * @param  {String} [keep="first"] "first", "last" or "most-complete"
+ * @param  {String} [method="window"] "window" or "group"
+ * @param  {String} [row=ROW]   Integer column numbering the rows, unique
+ * @return {string}             SQL
+ */
+const removedQuery = function({table, columns, keys, normalized, keep = 'first', method = 'window', row = ROW}) {
+    let column = function(alias, name){
+        return `${mysql.escapeId(alias)}.${mysql.escapeId(name, true)}`;
+    };
+    let key = function(alias, i){
+        return normalized[i] ? normalized[i](column(alias, keys[i])) : column(alias, keys[i]);
+    };
+    let partition = function(alias){
+        return keys.map(function(name, i){ return key(alias, i); }).join(', ');
+    };
+    let noKey = function(alias){
+        return keys.map(function(name, i){ return `${key(alias, i)} IS NULL`; }).join(' OR ');
+    };
+    let order = function(alias){
+        let number = column(alias, row);
+        if(keep === 'first') return number;
+        if(keep === 'last') return `${number} DESC`;
+        if(keep !== 'most-complete') throw new Error(`Unknown keep "${keep}". Must be ${KEEP.join(', ')}`);
+        // CAST keeps 0 from reading as empty
+        let filled = columns.map(function(name){ return `(COALESCE(CAST(${column(alias, name)} AS CHAR), '') <> '')`; }).join(' + ');
+        return `(${filled}) DESC, ${number}`;
+    };
+
+    let source = mysql.escapeId(table),
+        number = mysql.escapeId(row, true);
+    if(method === 'window') {
+        return `SELECT \`ranked\`.${number} FROM (SELECT \`d\`.${number}, ROW_NUMBER() OVER (PARTITION BY ${partition('d')} ORDER BY ${order('d')}) AS \`__n\` FROM ${source} AS \`d\` WHERE NOT (${noKey('d')})) AS \`ranked\`` +
+            ` WHERE \`ranked\`.\`__n\` > 1`;
+    }
+    if(method !== 'group') throw new Error(`Unknown method "${method}". Must be window or group`);
+    // DISTINCT keeps the server from merging this into a DELETE of the same table, which it can't read from
+    return `SELECT DISTINCT \`d\`.${number} FROM ${source} AS \`d\`` +
+        ` LEFT JOIN (SELECT CAST(SUBSTRING_INDEX(GROUP_CONCAT(${column('g', row)} ORDER BY ${order('g')}), ',', 1) AS UNSIGNED) AS ${number} FROM ${source} AS \`g\` GROUP BY ${partition('g')}) AS \`kept\`` +
+        ` ON \`kept\`.${number} = \`d\`.${number} WHERE \`kept\`.${number} IS NULL AND NOT (${noKey('d')})`;
+};
+
+/**
+ * normalizeQuery
+ * UPDATE storing the normalized keys, run once the duplicates are gone
+ * @param  {string} table      Name of the table
+ * @param  {array}  keys       Key columns
+ * @param  {array}  normalized Compiled transform of each key, see normalizers
+ * @return {string | null}     SQL, null when no key is normalized
+ */
+const normalizeQuery = function({table, keys, normalized}) {
+    let set = _.compact(keys.map(function(name, i){
+        if(!normalized[i]) return null;
+        let column = mysql.escapeId(name, true);
+        return `${column} = ${normalized[i](column)}`;
+    }));
+    return set.length ? `UPDATE ${mysql.escapeId(table)} SET ${set.join(', ')}` : null;
+};
+
+module.exports = {KEEP, METHODS, ROW, normalizers, windowFunctions, removedQuery, normalizeQuery};
@@ -0,0 +1,57 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const mysql = require('mysql'),
+      _ = require('lodash');
+
+const KINDS = ['added', 'removed', 'changed'];
+
+/**
+ * keyMatch
+ * Condition matching the rows of two aliased tables on their key columns
+ * @param  {array}  key   Key column(s)
+ * @param  {string} outer Alias of the table the condition looks up from
+ * @param  {string} inner Alias of the table being looked up
+ * @return {string}       ex: `l`.`email` = `r`.`email`
+ */
+const keyMatch = function(key, outer, inner) {
+    return key.map(function(column){
+        column = mysql.escapeId(column, true);
+        return `${mysql.escapeId(inner)}.${column} = ${mysql.escapeId(outer)}.${column}`;
+    }).join(' AND ');
+};
+
+/**
+ * diffQuery
+ * SELECT of the rows of one kind of change between two tables with the same key
+ * - added: rows of right whose key isn't in left
+ * - removed: rows of left whose key isn't in right
+ * - changed: rows of right whose key is in left with a different value in any of columns. NULLs are compared with <=>, so NULL to NULL isn't a change
+ * Rows are always selected whole, from right, or from left for removed rows.
+ * @param  {string} kind    "added", "removed" or "changed"
+ * @param  {string} left    The old table
+ * @param  {string} right   The new table
+ * @param  {array}  key     Key column(s) rows are matched on
+ * @param  {array}  columns Columns compared for changed rows
+ * @return {string}         SQL
+ */
+const diffQuery = function(kind, {left, right, key, columns}) {
+    let l = mysql.escapeId(left),
+        r = mysql.escapeId(right);
+    switch(kind) {
+        case 'added': return `SELECT \`r\`.* FROM ${r} AS \`r\` WHERE NOT EXISTS (SELECT 1 FROM ${l} AS \`l\` WHERE ${keyMatch(key, 'r', 'l')})`;
+        case 'removed': return `SELECT \`l\`.* FROM ${l} AS \`l\` WHERE NOT EXISTS (SELECT 1 FROM ${r} AS \`r\` WHERE ${keyMatch(key, 'l', 'r')})`;
+        case 'changed': {
+            // With no columns left to compare, a matching key means the row is the same
+            let same = columns.length ? columns.map(function(column){
+                column = mysql.escapeId(column, true);
+                return `\`l\`.${column} <=> \`r\`.${column}`;
+            }).join(' AND ') : 'TRUE';
+            return `SELECT \`r\`.* FROM ${r} AS \`r\` INNER JOIN ${l} AS \`l\` ON ${keyMatch(key, 'r', 'l')} WHERE NOT (${same})`;
+        }
+        default: throw new Error(`Unknown change "${kind}". Must be ${KINDS.join(', ')}`);
+    }
+};
+
+module.exports = {KINDS, diffQuery};
@@ -0,0 +1,149 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const INT_LIMITS = ['2147483647', '2147483648'],
+      BIGINT_LIMITS = ['9223372036854775807', '9223372036854775808'],
+      VARCHAR_SIZES = [255, 512, 1024],
+      // Room left above the longest sampled value for longer values past the sample
+      HEADROOM = 2;
+
+const patterns = {
+    integer: /^-?(0|[1-9]\d*)$/,
+    decimal: /^-?(0|[1-9]\d*)?\.(\d+)$/,
+    date: /^(\d{4})-(\d{2})-(\d{2})$/,
+    datetime: /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,6}))?)?$/
+};
+
+/**
+ * fits
+ * Compares an integer string against signed limits without losing precision to floats
+ * @param  {string}  value  Integer string, optionally negative
+ * @param  {array}   limits [max positive, max negative magnitude] as digit strings
+ * @return {boolean}
+ */
+const fits = function(value, limits) {
+    let negative = value[0] === '-',
+        digits = negative ? value.slice(1) : value,
+        limit = negative ? limits[1] : limits[0];
+    if(digits.length !== limit.length) return digits.length < limit.length;
+    return digits <= limit;
+};
+
+/**
+ * isEmpty
+ * Values that LOAD DATA would store as an empty string or NULL, they don't count toward a type
+ * @param  {string}  value Field value
+ * @return {boolean}
+ */
+const isEmpty = function(value) {
+    return value === null || value === undefined || value === '' || value === '\\N';
+};
+
+/**
+ * validDate
+ * Make sure a matched date is a real calendar date, 2017-02-30 is rejected by MySQL strict mode
+ */
+const validDate = function(year, month, day) {
+    let date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === +year && date.getUTCMonth() === month - 1 && date.getUTCDate() === +day;
+};
+
+const validTime = function(hour, minute, second = 0) {
+    return +hour < 24 && +minute < 60 && +second < 60;
+};
+
+/**
+ * inferType
+ * Picks the narrowest MySQL type that can hold every sampled value of a column
+ * Empty values are ignored. A column with no values at all falls back to VARCHAR(255).
+ * Integers with leading zeros (zip codes, ids) are kept as strings so they don't lose their zeros.
+ * Strings are at least VARCHAR(255) with room for values twice as long as the longest sampled, TEXT beyond VARCHAR(1024),
+ * so a longer value past the sample isn't truncated.
+ * @param  {array}  values Sampled values of a single column
+ * @return {string}        MySQL column type
+ */
+const inferType = function(values) {
+    let candidates = {bool: true, integer: true, bigint: true, decimal: true, date: true, datetime: true},
+        maxLength = 0,
+        intDigits = 1,
+        scale = 0,
+        fsp = 0,
+        seen = 0;
+
+    values.forEach(function(value){
+        if(isEmpty(value)) return;
+        value = String(value);
+        seen++;
+        maxLength = Math.max(maxLength, value.length);
+
+        if(candidates.bool && value !== '0' && value !== '1') candidates.bool = false;
+
+        if(candidates.integer || candidates.bigint) {
+            if(!patterns.integer.test(value)) {
+                candidates.integer = candidates.bigint = false;
+            } else {
+                if(!fits(value, INT_LIMITS)) candidates.integer = false;
+                if(!fits(value, BIGINT_LIMITS)) candidates.bigint = false;
+            }
+        }
+
+        if(candidates.decimal) {
+            let integer = patterns.integer.test(value),
+                match = value.match(patterns.decimal);
+            if(!integer && !match) {
+                candidates.decimal = false;
+            } else {
+                let digits = value.replace('-', '').split('.');
+                intDigits = Math.max(intDigits, digits[0].replace(/^0+/, '').length || 1);
+                if(match) scale = Math.max(scale, match[2].length);
+            }
+        }
+
+        if(candidates.date) {
+            let match = value.match(patterns.date);
+            if(!match || !validDate(match[1], match[2], match[3])) candidates.date = false;
+        }
+
+        if(candidates.datetime) {
+            // Plain dates load into a DATETIME column as midnight
+            let match = value.match(patterns.datetime) || value.match(patterns.date);
+            if(!match || !validDate(match[1], match[2], match[3]) || (match[4] && !validTime(match[4], match[5], match[6]))) {
+                candidates.datetime = false;
+            } else if(match[7]) {
+                fsp = Math.max(fsp, match[7].length);
+            }
+        }
+    });
+
+    if(!seen) return 'VARCHAR(255)';
+    if(candidates.bool) return 'TINYINT(1)';
+    if(candidates.integer) return 'INT';
+    if(candidates.bigint) return 'BIGINT';
+    if(candidates.decimal && intDigits + scale <= 65 && scale <= 30) return `DECIMAL(${intDigits + scale},${scale})`;
+    if(candidates.date) return 'DATE';
+    if(candidates.datetime) return fsp ? `DATETIME(${fsp})` : 'DATETIME';
+
+    let size = VARCHAR_SIZES.find(function(size){ return size >= maxLength * HEADROOM; });
+    return size ? `VARCHAR(${size})` : 'TEXT';
+};
+
+/**
+ * inferColumns
+ * Infer the type of each column from a sample of rows
+ * @param  {array}  headers   Column names, in file order
+ * @param  {array}  rows      Sampled records, each an array of values in file order
+ * @param  {object} [columns] Map of column name to type, overrides whatever is inferred
+ * @return {array}            [{name, type}] in header order
+ */
+const inferColumns = function(headers, rows, columns = {}) {
+    return headers.map(function(name, i){
+        if(columns[name]) return {name: name, type: columns[name]};
+        return {
+            name: name,
+            type: inferType(rows.map(function(row){ return row[i]; }))
+        };
+    });
+};
+
+module.exports = {inferType, inferColumns};
@@ -0,0 +1,319 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const fs = require('fs'),
+      os = require('os'),
+      path = require('path'),
+      crypto = require('crypto'),
+      _ = require('lodash'),
+      Transform = require('stream').Transform,
+      StringDecoder = require('string_decoder').StringDecoder,
+      compress = require('./compress'),
+      RowWriter = require('./writer').RowWriter;
+
+const BOM = '\ufeff',
+      FORMATS = ['ndjson', 'json'],
+      WHITESPACE = /^\s*$/;
+
+/**
+ * JsonTokenizer
+ * Splits NDJSON, one JSON object per line, or a JSON array of objects into records
+ * Arrays are split at their top level commas as the text comes in, so only one record is held in memory at a time.
+ * Text can be written in pieces, records split across pieces are handled.
+ * @param  {String}   [format="ndjson"] "ndjson" or "json"
+ * @param  {function} onRecord          Called with each record object as it is completed
+ */
+class JsonTokenizer {
+    constructor ({format = 'ndjson'} = {}, onRecord) {
+        if(FORMATS.indexOf(format) < 0) throw new Error(`JSON Parser - Unknown format "${format}". Must be ${FORMATS.join(', ')}`);
+        this.format = format;
+        this.onRecord = onRecord;
+        this.count = 0;
+
+        this._started = false;
+        this._line = 0;
+        this._buffer = '';
+        // JSON array state
+        this._opened = false;
+        this._closed = false;
+        this._depth = 0;
+        this._inString = false;
+        this._escaped = false;
+    }
+
+    write (text) {
+        if(!this._started && text.length) {
+            this._started = true;
+            if(text[0] === BOM) text = text.slice(1);
+        }
+        if(this.format === 'ndjson') return this._lines(text, false);
+        this._array(text);
+    }
+
+    end (text = '') {
+        this.write(text);
+        if(this.format === 'ndjson') return this._lines('', true);
+        if(this._opened && !this._closed) throw new Error(`JSON Parser - The JSON array ends early, after record ${this.count}`);
+    }
+
+    _lines (text, final) {
+        let lines = (this._buffer + text).split('\n');
+        this._buffer = final ? '' : lines.pop();
+        const self = this;
+        lines.forEach(function(line){
+            self._line++;
+            if(!WHITESPACE.test(line)) self._record(line, `line ${self._line}`);
+        });
+    }
+
+    _array (text) {
+        let start = 0,
+            i = 0;
+        for(; i < text.length; i++) {
+            let c = text[i];
+            if(this._closed) {
+                if(!WHITESPACE.test(c)) throw new Error('JSON Parser - Unexpected text after the JSON array');
+                continue;
+            }
+            if(!this._opened) {
+                if(WHITESPACE.test(c)) continue;
+                if(c !== '[') throw new Error('JSON Parser - The file must hold a JSON array of objects');
+                this._opened = true;
+                start = i + 1;
+                continue;
+            }
+            if(this._inString) {
+                if(this._escaped) this._escaped = false;
+                else if(c === '\\') this._escaped = true;
+                else if(c === '"') this._inString = false;
+                continue;
+            }
+            if(c === '"') this._inString = true;
+            else if(c === '{' || c === '[') this._depth++;
+            else if(c === '}' || (c === ']' && this._depth > 0)) this._depth--;
+            else if(this._depth === 0 && (c === ',' || c === ']')) {
+                let element = this._buffer + text.slice(start, i);
+                this._buffer = '';
+                start = i + 1;
+                if(c === ']') this._closed = true;
+                // [] and a trailing ] have nothing before them
+                if(!WHITESPACE.test(element) || c === ',') this._record(element, `record ${this.count + 1}`);
+            }
+        }
+        if(this._opened && !this._closed) this._buffer += text.slice(start);
+        else if(!this._opened) this._buffer = '';
+    }
+
+    _record (text, where) {
+        let record;
+        try {
+            record = JSON.parse(text);
+        } catch(err) {
+            throw new Error(`JSON Parser - Invalid JSON at ${where}: ${err.message}`);
+        }
+        if(!_.isPlainObject(record)) throw new Error(`JSON Parser - Expected an object at ${where}`);
+        this.count++;
+        this.onRecord(record);
+    }
+}
+
+/**
+ * JsonParser
+ * Transform stream version of the JsonTokenizer. Takes text, emits record objects.
+ * @param  {object} options Same options as JsonTokenizer
+ */
+class JsonParser extends Transform {
+    constructor (options = {}) {
+        super({readableObjectMode: true});
+        const self = this;
+        this._decoder = new StringDecoder('utf8');
+        this._tokenizer = new JsonTokenizer(options, function(record){
+            self.push(record);
+        });
+    }
+
+    get count () {
+        return this._tokenizer.count;
+    }
+
+    _transform (chunk, encoding, callback) {
+        try {
+            this._tokenizer.write(this._decoder.write(chunk));
+        } catch(err) {
+            return callback(err);
+        }
+        callback();
+    }
+
+    _flush (callback) {
+        try {
+            this._tokenizer.end(this._decoder.end());
+        } catch(err) {
+            return callback(err);
+        }
+        callback();
+    }
+}
+
+/**
+ * flatten
+ * Flattens nested objects into a single level, joining the keys with separator
+ * Arrays and empty objects are leaves, they are stored as JSON.
+ * @param  {object} record          ex: {id: 1, address: {city: "Jakku"}, tags: ["a"]}
+ * @param  {String} [separator="_"] Joins nested keys
+ * @return {object}                 ex: {id: 1, address_city: "Jakku", tags: ["a"]}
+ */
+const flatten = function(record, separator = '_') {
+    let flat = {};
+    let walk = function(object, prefix){
+        _.each(object, function(value, key){
+            let name = prefix + key;
+            if(_.isPlainObject(value) && !_.isEmpty(value)) return walk(value, name + separator);
+            flat[name] = value;
+        });
+    };
+    walk(record, '');
+    return flat;
+};
+
+/**
+ * toText
+ * Text of a flattened value as it is written for LOAD DATA
+ * Booleans become 1 and 0 like MySQL's BOOLEAN, arrays and objects their JSON
+ * @param  {*} value Leaf value from flatten
+ * @return {string}  Text, or null
+ */
+const toText = function(value) {
+    if(value === null || value === undefined) return null;
+    if(value === true) return '1';
+    if(value === false) return '0';
+    if(_.isObject(value)) return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * open
+ * Streams the records of a JSON file, decompressing it on the fly
+ * @return {object} {input, records} - destroy input to stop reading early
+ */
+const open = function(filepath, {format, compression}) {
+    let input = compress.openFile(filepath, {compression: compression}).input,
+        records = new JsonParser({format: format});
+    input.on('error', function(err){ records.destroy(err); });
+    input.pipe(records);
+    return {input: input, records: records};
+};
+
+/**
+ * sampleKeys
+ * Reads the first records of a JSON file and collects the keys they have once flattened, in the order they are first seen
+ * @param  {string} filepath             Path of the file
+ * @param  {String} format               "ndjson" or "json"
+ * @param  {String} [separator="_"]      Joins nested keys, see flatten
+ * @param  {Number} [sample=1000]        Records read
+ * @param  {String} [compression="auto"] Compression of the file, see compress.detect
+ * @return {Promise | object}            {keys, arrays, records} - arrays are the keys holding an array or an object in any sampled record
+ */
+const sampleKeys = function(filepath, {format, separator = '_', sample = 1000, compression = 'auto'}) {
+    return new Promise(function(resolve,reject){
+        let keys = [],
+            seen = {},
+            arrays = {},
+            count = 0,
+            done = false,
+            opened;
+        try {
+            opened = open(filepath, {format: format, compression: compression});
+        } catch(err) {
+            return reject(err);
+        }
+
+        let finish = function(err){
+            if(done) return;
+            done = true;
+            opened.input.destroy();
+            if(err) return reject(err);
+            if(!keys.length) return reject(new Error(`No records with keys found in ${filepath}`));
+            resolve({keys: keys, arrays: _.keys(arrays), records: count});
+        };
+
+        opened.records.on('error', finish);
+        opened.records.on('data', function(record){
+            if(done) return;
+            _.each(flatten(record, separator), function(value, key){
+                if(!seen[key]) {
+                    seen[key] = true;
+                    keys.push(key);
+                }
+                if(_.isObject(value)) arrays[key] = true;
+            });
+            if(++count >= sample) finish();
+        });
+        opened.records.on('end', function(){ finish(); });
+    });
+};
+
+/**
+ * convertFile
+ * Writes the records of a JSON file to a tab separated file in the temp folder, one column per key
+ * The file is MySQL's tab separated text with a header row, see the tsv format of lib/writer.js, so it loads with the LOAD DATA defaults.
+ * Missing keys are written as NULL. Keys that aren't in keys are left out and counted in skipped.
+ * @param  {string} filepath             Path of the file
+ * @param  {array}  keys                 Flattened keys to write, from sampleKeys
+ * @param  {String} format               "ndjson" or "json"
+ * @param  {String} [separator="_"]      Joins nested keys, see flatten
+ * @param  {String} [compression="auto"] Compression of the file, see compress.detect
+ * @return {Promise | object}            {path, records, skipped} - path of the file written, skipped is the number of records each left out key was found in. The caller deletes the file.
+ */
+const convertFile = function(filepath, keys, {format, separator = '_', compression = 'auto'}) {
+    return new Promise(function(resolve,reject){
+        let copy = path.join(os.tmpdir(), `nodeetl-${crypto.randomBytes(4).toString('hex')}-${compress.baseName(filepath)}.tsv`),
+            known = _.keyBy(keys),
+            skipped = {},
+            done = false,
+            opened,
+            writer,
+            output;
+        try {
+            opened = open(filepath, {format: format, compression: compression});
+            writer = new RowWriter({format: 'tsv', columns: keys, header: keys});
+        } catch(err) {
+            return reject(err);
+        }
+        output = fs.createWriteStream(copy);
+
+        let finish = function(err){
+            if(done) return;
+            done = true;
+            if(!err) return resolve({path: copy, records: opened.records.count, skipped: skipped});
+            opened.input.destroy();
+            writer.destroy();
+            output.destroy();
+            fs.unlink(copy, function(){
+                reject(err);
+            });
+        };
+
+        let rows = new Transform({
+            objectMode: true,
+            transform: function(record, encoding, callback){
+                let flat = flatten(record, separator),
+                    row = {};
+                _.each(flat, function(value, key){
+                    if(!known[key]) return skipped[key] = (skipped[key] || 0) + 1;
+                    row[key] = toText(value);
+                });
+                callback(null, row);
+            }
+        });
+
+        opened.records.on('error', finish);
+        writer.on('error', finish);
+        output.on('error', finish);
+        output.on('finish', function(){ finish(); });
+        opened.records.pipe(rows).pipe(writer).pipe(output);
+    });
+};
+
+module.exports = {FORMATS, JsonTokenizer, JsonParser, flatten, toText, sampleKeys, convertFile};
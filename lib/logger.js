@@ -0,0 +1,81 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const _ = require('lodash');
+
+const LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// Quoted strings, hex and bit literals and numbers in SQL. Backquoted identifiers are matched first so names are left alone
+const LITERALS = /(`(?:[^`]|``)*`)|'(?:[^'\\]|\\.|'')*'|"(?:[^"\\]|\\.|"")*"|\b[xXbB]'[0-9a-fA-F]*'|-?\b\d+(?:\.\d+)?(?:[eE][-+]?\d+)?\b/g;
+
+/**
+ * redact
+ * Replaces the values in a SQL statement with ?, keeping keywords and identifiers
+ * @param  {string} sql ex: SELECT * FROM `contacts` WHERE email = 'luke@jedi.com' LIMIT 10
+ * @return {string}     ex: SELECT * FROM `contacts` WHERE email = ? LIMIT ?
+ */
+const redact = function(sql) {
+    return String(sql).replace(LITERALS, function(match, identifier){
+        return identifier || '?';
+    });
+};
+
+/**
+ * Logger
+ * Sends messages with a level and context fields to console, winston, pino or anything with error, warn, info and debug methods
+ * winston and console are called with (message, context), pino with (context, message). Missing methods fall back to log.
+ * @param  {object}  [logger=console]  Where messages go
+ * @param  {String}  [level="silent"]  Most detailed level logged: "silent", "error", "warn", "info" or "debug"
+ * @param  {bool}    [logSql=false]    Log every statement run, at debug level
+ * @param  {bool}    [redactSql=true]  Replace values in logged statements with ?
+ */
+class Logger {
+    constructor ({logger = console, level = 'silent', logSql = false, redactSql = true} = {}) {
+        if(!logger || !_.isObject(logger)) throw new Error('Logger - logger must be an object with error, warn, info and debug methods');
+        this.setLevel(level);
+        this.target = logger;
+        this.logSql = logSql;
+        this.redactSql = redactSql;
+    }
+
+    setLevel (level) {
+        if(LEVELS.indexOf(level) < 0) throw new Error(`Logger - Unknown level "${level}". Must be ${LEVELS.join(', ')}`);
+        this.level = level;
+    }
+
+    enabled (level) {
+        return LEVELS.indexOf(level) <= LEVELS.indexOf(this.level);
+    }
+
+    error (message, context) { this._write('error', message, context); }
+
+    warn (message, context) { this._write('warn', message, context); }
+
+    info (message, context) { this._write('info', message, context); }
+
+    debug (message, context) { this._write('debug', message, context); }
+
+    /**
+     * Logs a statement about to run when logSql is on
+     * @param  {string} sql       Statement with the values in it
+     * @param  {object} [context] Fields logged with it
+     */
+    sql (sql, context) {
+        if(!this.logSql || !this.enabled('debug')) return;
+        this._write('debug', 'SQL', _.assign({sql: this.redactSql ? redact(sql) : sql}, context));
+    }
+
+    _write (level, message, context) {
+        if(level === 'silent' || !this.enabled(level)) return;
+        let target = this.target,
+            method = _.isFunction(target[level]) ? target[level] : target.log;
+        if(!_.isFunction(method)) return;
+        if(_.isEmpty(context)) return method.call(target, message);
+        // pino keeps its level numbers in levels.values, winston's levels map names straight to numbers
+        if(target.levels && target.levels.values) return method.call(target, context, message);
+        method.call(target, message, context);
+    }
+}
+
+module.exports = {LEVELS, redact, Logger};
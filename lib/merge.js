@@ -0,0 +1,166 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const mysql = require('mysql'),
+      _ = require('lodash');
+
+const JOIN_TYPES = ['inner', 'left', 'right', 'full'];
+
+/**
+ * splitColumn
+ * Splits a "table.column" reference on its last dot, the table part may itself be qualified with the database
+ * @param  {string} reference ex: customers.customers_email
+ * @return {object}           {table, column} - table is null when the reference is a bare column
+ */
+const splitColumn = function(reference) {
+    let i = String(reference).lastIndexOf('.');
+    if(i < 0) return {table: null, column: String(reference)};
+    return {table: reference.slice(0, i), column: reference.slice(i + 1)};
+};
+
+/**
+ * checkReference
+ * Makes sure a "table.column" reference names one of the tables being merged, so a typo can't pick the wrong side of a join
+ * @param  {string} reference ex: customers.customers_email
+ * @param  {array}  tables    Table names of the files being merged
+ * @param  {string} where     What the reference is part of, for the error message
+ * @param  {bool}   [table=false] The table part is required
+ * @return {object}           {table, column}, see splitColumn
+ */
+const checkReference = function(reference, tables, where, table = false) {
+    let parts = splitColumn(reference);
+    if(parts.table === null && table) throw new Error(`${where} references ${reference}, which must be a "table.column" reference`);
+    if(parts.table !== null && !_.includes(tables, parts.table)) throw new Error(`${where} references ${reference}, ${parts.table} isn't one of the files being merged`);
+    return parts;
+};
+
+/**
+ * fromMapping
+ * Turns the original {"a.x": "b.y"} mapping into join specs, all inner joins in the order of the tables.
+ * Each pair becomes part of the ON condition of the first table that completes it.
+ * @param  {array}  tables  Table names in file order
+ * @param  {object} mapping {"table.column": "othertable.column"}
+ * @return {array}          Join specs, see normalizeJoins
+ */
+const fromMapping = function(tables, mapping) {
+    let pairs = _.toPairs(mapping),
+        joined = [tables[0]];
+
+    let joins = tables.map(function(table, i){
+        if(i === 0) return {table: table};
+        joined.push(table);
+        let on = _.remove(pairs, function(pair){
+            let left = splitColumn(pair[0]).table,
+                right = splitColumn(pair[1]).table;
+            return (left === table || right === table) && _.includes(joined, left) && _.includes(joined, right);
+        });
+        return {table: table, type: 'inner', on: _.fromPairs(on)};
+    });
+
+    if(pairs.length) throw new Error(`The mapping ${pairs.map(function(pair){ return pair.join(' = '); }).join(', ')} doesn't match the tables being merged`);
+    return joins;
+};
+
+/**
+ * normalizeJoins
+ * Checks join specs against the tables being merged
+ * The first spec is the table everything is joined to, every other spec joins a table with a type and an ON mapping.
+ * @param  {array}          tables Table names of the files being merged
+ * @param  {array | object} merge  Join specs [{table}, {table, type, on: {"a.x": "b.y"}}], or the original {"a.x": "b.y"} mapping
+ * @return {array}                 Join specs in join order, type lowercased
+ */
+const normalizeJoins = function(tables, merge) {
+    let joins = _.isArray(merge) ? merge : fromMapping(tables, merge);
+
+    joins = joins.map(function(join, i){
+        if(!_.isPlainObject(join) || !join.table) throw new Error(`Join ${i + 1} is missing the 'table' property`);
+        if(!_.includes(tables, join.table)) throw new Error(`Join ${i + 1} references ${join.table}, which isn't one of the files being merged`);
+        if(i === 0) return {table: join.table};
+
+        let type = String(join.type || 'inner').toLowerCase();
+        if(!_.includes(JOIN_TYPES, type)) throw new Error(`Unknown join type "${join.type}" for ${join.table}. Must be ${JOIN_TYPES.join(', ')}`);
+        if(!_.isPlainObject(join.on) || !_.size(join.on)) throw new Error(`Join ${i + 1} (${join.table}) is missing the 'on' mapping`);
+        _.each(join.on, function(right, left){
+            checkReference(left, tables, `Join ${i + 1} (${join.table})`, true);
+            checkReference(right, tables, `Join ${i + 1} (${join.table})`, true);
+        });
+        return {table: join.table, type: type, on: join.on};
+    });
+
+    let missing = _.difference(tables, _.map(joins, 'table'));
+    if(missing.length) throw new Error(`No join given for ${missing.join(', ')}`);
+    if(_.uniq(_.map(joins, 'table')).length !== joins.length) throw new Error('A table can only be joined once');
+    return joins;
+};
+
+/**
+ * fromClause
+ * Builds the FROM clause joining the tables together
+ * Columns are referenced without their table: merged tables have their columns prefixed with the table name,
+ * so names are unique, and a FULL join has to wrap everything before it in a derived table where the table names are gone.
+ * MySQL has no FULL JOIN, it is emulated as a LEFT JOIN plus the RIGHT JOIN rows that had no match:
+ * (L LEFT JOIN R ON ...) UNION ALL (L RIGHT JOIN R ON ... WHERE <left key> IS NULL)
+ * @param  {array}  joins      Normalized join specs
+ * @param  {object} [names={}] Name of the table in the database for each join table, when they differ
+ * @return {string}            ex: `customers` LEFT JOIN `alliances` ON `customers_email` = `alliances_email`
+ */
+const fromClause = function(joins, names = {}) {
+    let from = mysql.escapeId(names[joins[0].table] || joins[0].table);
+
+    _.each(joins.slice(1), function(join, i){
+        let table = mysql.escapeId(names[join.table] || join.table),
+            pairs = _.toPairs(join.on).map(function(pair){
+                let left = splitColumn(pair[0]),
+                    right = splitColumn(pair[1]);
+                // Keep the side that belongs to the joined table on the right
+                return left.table === join.table ? [right, left] : [left, right];
+            }),
+            on = pairs.map(function(pair){
+                return `${mysql.escapeId(pair[0].column, true)} = ${mysql.escapeId(pair[1].column, true)}`;
+            }).join(' AND ');
+
+        if(join.type !== 'full') {
+            from += ` ${join.type.toUpperCase()} JOIN ${table} ON ${on}`;
+            return;
+        }
+        from = `(SELECT * FROM ${from} LEFT JOIN ${table} ON ${on}` +
+            ` UNION ALL SELECT * FROM ${from} RIGHT JOIN ${table} ON ${on} WHERE ${mysql.escapeId(pairs[0][0].column, true)} IS NULL)` +
+            ` AS ${mysql.escapeId('full_' + (i + 1))}`;
+    });
+
+    return from;
+};
+
+/**
+ * selectList
+ * Builds the select list of the merged table from the output columns
+ * A column is a "table.column" reference, kept under its column name, or {name, from} where from is one reference
+ * or several, merged with COALESCE so the first one that isn't NULL wins. Handy for join keys found in more than one file.
+ * @param  {array} [columns] Output columns in output order, all columns when empty
+ * @param  {array} [tables]  Table names of the files being merged, the table of every reference must be one of them
+ * @return {string}          ex: COALESCE(`contacts_email`, `optins_email`) AS `email`, `contacts_first` AS `first`
+ */
+const selectList = function(columns, tables = null) {
+    if(!columns || !columns.length) return '*';
+
+    let names = [];
+    let list = columns.map(function(column, i){
+        if(_.isString(column)) column = {from: column};
+        if(!_.isPlainObject(column) || !column.from || !_.concat([], column.from).length) throw new Error(`Output column ${i + 1} must be a "table.column" string or an object with a 'from' property`);
+
+        let from = _.concat([], column.from).map(function(reference){
+                let parts = tables ? checkReference(reference, tables, `Output column ${i + 1}`) : splitColumn(reference);
+                return mysql.escapeId(parts.column, true);
+            }),
+            name = column.name || splitColumn(_.concat([], column.from)[0]).column;
+
+        if(_.includes(names, name.toLowerCase())) throw new Error(`Output column ${name} is used more than once`);
+        names.push(name.toLowerCase());
+        return `${from.length > 1 ? `COALESCE(${from.join(', ')})` : from[0]} AS ${mysql.escapeId(name, true)}`;
+    });
+
+    return list.join(', ');
+};
+
+module.exports = {JOIN_TYPES, splitColumn, normalizeJoins, fromClause, selectList};
@@ -0,0 +1,216 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const Transform = require('stream').Transform,
+      StringDecoder = require('string_decoder').StringDecoder;
+
+const BOM = '\ufeff',
+      ESCAPES = {'0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a'};
+
+/**
+ * Tokenizer
+ * Splits delimited text into records (arrays of field values).
+ * Follows the same rules LOAD DATA uses for FIELDS TERMINATED BY / ENCLOSED BY / ESCAPED BY / LINES TERMINATED BY,
+ * so a file parsed here lines up with what MySQL would load:
+ * - a doubled quote inside a quoted field is a literal quote (RFC 4180)
+ * - the escape character escapes the next character, \0 \b \n \r \t \Z are control characters
+ * - \N, or the unquoted word NULL when quotes are used, is read as null
+ * On top of that a leading byte order mark is dropped and \r\n ends a line when the newline is \n.
+ * Text can be written in pieces, tokens split across pieces are handled.
+ * Each record has the line of the file it starts on as a non-enumerable line property, blank lines and quoted fields spanning lines are counted.
+ * @param  {String}   [delimiter=","] Field terminator
+ * @param  {String}   [quotes=""]     Character wrapping field values
+ * @param  {String}   [escape="\\"]   Escape character, pass "" to turn escaping off
+ * @param  {String}   [newline="\n"]  Line terminator
+ * @param  {function} onRecord        Called with each record as it is completed
+ */
+class Tokenizer {
+    constructor ({delimiter = ",", quotes = '', escape = "\\", newline = "\n"} = {}, onRecord) {
+        if(!delimiter) throw new Error('Parser - delimiter can not be empty');
+        if(!newline) throw new Error('Parser - newline can not be empty');
+
+        this.delimiter = delimiter;
+        this.quotes = quotes || '';
+        // LOAD DATA treats an escape character equal to the quote character as RFC 4180 doubled quotes
+        this.escape = escape && escape !== this.quotes ? escape : '';
+        this.newline = newline;
+        this.onRecord = onRecord;
+        this.count = 0;
+        this.line = 1;
+
+        this._started = false;
+        this._start = 1;
+        this._buffer = '';
+        this._field = '';
+        this._record = [];
+        this._inQuotes = false;
+        this._quoted = false;
+        this._null = false;
+        // Longest token we may need to look at before deciding what a character means
+        this._lookahead = Math.max(this.delimiter.length, this.newline.length + 1, this.quotes.length * 2, this.escape.length + 1);
+    }
+
+    write (text) {
+        if(!this._started && text.length) {
+            this._started = true;
+            if(text[0] === BOM) text = text.slice(1);
+        }
+        this._buffer += text;
+        this._parse(false);
+    }
+
+    end (text = '') {
+        this.write(text);
+        this._parse(true);
+        if(this._field.length || this._record.length || this._quoted) {
+            this._endField();
+            this._endRecord();
+        }
+    }
+
+    _parse (final) {
+        const buffer = this._buffer,
+              quotes = this.quotes;
+        let i = 0;
+
+        while(i < buffer.length) {
+            // Wait for more data rather than splitting a multi character token across writes
+            if(!final && buffer.length - i < this._lookahead) break;
+
+            if(this.escape && buffer.startsWith(this.escape, i)) {
+                let next = buffer[i + this.escape.length];
+                if(next === undefined) {
+                    this._field += this.escape;
+                    i += this.escape.length;
+                    continue;
+                }
+                if(next === 'N' && !this._inQuotes && !this._quoted && !this._field.length) this._null = true;
+                if(buffer.startsWith(this.newline, i + this.escape.length)) this.line++;
+                this._field += ESCAPES.hasOwnProperty(next) ? ESCAPES[next] : next;
+                i += this.escape.length + 1;
+                continue;
+            }
+
+            if(this._inQuotes) {
+                if(buffer.startsWith(quotes, i)) {
+                    if(buffer.startsWith(quotes, i + quotes.length)) {
+                        this._field += quotes;
+                        i += quotes.length * 2;
+                        continue;
+                    }
+                    this._inQuotes = false;
+                    i += quotes.length;
+                    continue;
+                }
+                if(buffer.startsWith(this.newline, i)) this.line++;
+                this._field += buffer[i];
+                i++;
+                continue;
+            }
+
+            if(buffer.startsWith(this.delimiter, i)) {
+                this._endField();
+                i += this.delimiter.length;
+            } else if(buffer.startsWith(this.newline, i)) {
+                this._endField();
+                this._endRecord();
+                this._nextLine();
+                i += this.newline.length;
+            } else if(this.newline === "\n" && buffer.startsWith("\r\n", i)) {
+                this._endField();
+                this._endRecord();
+                this._nextLine();
+                i += 2;
+            } else if(quotes && !this._quoted && !this._field.length && buffer.startsWith(quotes, i)) {
+                this._inQuotes = true;
+                this._quoted = true;
+                i += quotes.length;
+            } else {
+                this._field += buffer[i];
+                i++;
+            }
+        }
+
+        this._buffer = buffer.slice(i);
+    }
+
+    _endField () {
+        let value = this._field;
+        if(this._null && value === 'N') value = null;
+        if(this.quotes && !this._quoted && value === 'NULL') value = null;
+        this._record.push(value);
+        this._field = '';
+        this._quoted = false;
+        this._null = false;
+    }
+
+    _endRecord () {
+        const record = this._record;
+        this._record = [];
+        // Skip blank lines, LOAD DATA does the same
+        if(record.length === 1 && record[0] === '') return;
+        this.count++;
+        Object.defineProperty(record, 'line', {value: this._start});
+        this.onRecord(record);
+    }
+
+    _nextLine () {
+        this.line++;
+        this._start = this.line;
+    }
+}
+
+/**
+ * RecordParser
+ * Transform stream version of the Tokenizer. Takes raw file data, emits records.
+ * @param  {object} options Same options as Tokenizer
+ */
+class RecordParser extends Transform {
+    constructor (options = {}) {
+        super({readableObjectMode: true});
+        const self = this;
+        this._decoder = new StringDecoder('utf8');
+        this._tokenizer = new Tokenizer(options, function(record){
+            self.push(record);
+        });
+    }
+
+    get count () {
+        return this._tokenizer.count;
+    }
+
+    _transform (chunk, encoding, callback) {
+        try {
+            this._tokenizer.write(this._decoder.write(chunk));
+        } catch(err) {
+            return callback(err);
+        }
+        callback();
+    }
+
+    _flush (callback) {
+        try {
+            this._tokenizer.end(this._decoder.end());
+        } catch(err) {
+            return callback(err);
+        }
+        callback();
+    }
+}
+
+/**
+ * parse
+ * Parse a complete string into records
+ * @param  {string} text    Delimited text
+ * @param  {object} options Same options as Tokenizer
+ * @return {array}          Array of records
+ */
+const parse = function(text, options) {
+    const records = [],
+          tokenizer = new Tokenizer(options, function(record){ records.push(record); });
+    tokenizer.end(text);
+    return records;
+};
+
+module.exports = {Tokenizer, RecordParser, parse};
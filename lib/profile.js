@@ -0,0 +1,171 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const _ = require('lodash');
+
+// Invalid UTF-8 is decoded to the replacement character
+const REPLACEMENT = '\ufffd',
+      EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+      RULES = ['required', 'regex', 'email', 'unique', 'maxLength'];
+
+/**
+ * Profiler
+ * Builds a profile of every column of a file, one record at a time
+ * Distinct values are counted exactly up to maxDistinct per column, past that distinct is a lower bound and distinctExact is false.
+ * Lengths are in characters and only look at values that aren't empty or null.
+ * @param  {array}  headers              Column names, from the header row
+ * @param  {Number} [maxDistinct=10000]  Distinct values kept per column
+ */
+class Profiler {
+    constructor (headers, {maxDistinct = 10000} = {}) {
+        this.headers = headers;
+        this.maxDistinct = maxDistinct;
+        this.rows = 0;
+        this.fieldCounts = {};
+        this.badEncoding = 0;
+        this.columns = headers.map(function(name){
+            return {name: name, empty: 0, nulls: 0, badEncoding: 0, minLength: null, maxLength: null, values: new Set(), capped: false};
+        });
+    }
+
+    add (record) {
+        const self = this;
+        let bad = false;
+        this.rows++;
+        this.fieldCounts[record.length] = (this.fieldCounts[record.length] || 0) + 1;
+
+        _.each(this.columns, function(column, i){
+            let value = record[i];
+            if(value === null) return column.nulls++;
+            if(value === undefined || value === '') return column.empty++;
+            if(value.indexOf(REPLACEMENT) >= 0) {
+                column.badEncoding++;
+                bad = true;
+            }
+            if(column.minLength === null || value.length < column.minLength) column.minLength = value.length;
+            if(column.maxLength === null || value.length > column.maxLength) column.maxLength = value.length;
+            if(column.capped || column.values.has(value)) return;
+            if(column.values.size >= self.maxDistinct) return column.capped = true;
+            column.values.add(value);
+        });
+        if(bad) this.badEncoding++;
+    }
+
+    result () {
+        const rows = this.rows,
+              columns = this.headers.length;
+        let rate = function(count){
+            return rows ? count / rows : 0;
+        };
+        return {
+            rows: rows,
+            columns: columns,
+            consistent: _.every(_.keys(this.fieldCounts), function(count){ return +count === columns; }),
+            fieldCounts: _.clone(this.fieldCounts),
+            badEncoding: this.badEncoding,
+            profile: this.columns.map(function(column){
+                return {
+                    name: column.name,
+                    filled: rows - column.empty - column.nulls,
+                    empty: column.empty,
+                    nulls: column.nulls,
+                    emptyRate: rate(column.empty),
+                    nullRate: rate(column.nulls),
+                    distinct: column.values.size,
+                    distinctExact: !column.capped,
+                    minLength: column.minLength,
+                    maxLength: column.maxLength,
+                    badEncoding: column.badEncoding
+                };
+            })
+        };
+    }
+}
+
+/**
+ * Validator
+ * Checks the records of a file against required headers and column rules
+ * Rules for a column: {required: true, regex: /^\d{5}$/, email: true, unique: true, maxLength: 255}
+ * Rules other than required skip empty and null values. Every record is also checked for its field count and bad encoding.
+ * @param  {array}  headers          Column names, from the header row
+ * @param  {array}  [required=[]]    Headers the file must have
+ * @param  {object} [rules={}]       Rules by column name
+ * @param  {Number} [maxErrors=100]  Errors kept in the result, all of them are counted
+ */
+class Validator {
+    constructor (headers, {required = [], rules = {}, maxErrors = 100} = {}) {
+        const self = this;
+        this.headers = headers;
+        this.maxErrors = maxErrors;
+        this.errors = [];
+        this.errorCount = 0;
+        this.rows = 0;
+
+        _.each(rules, function(rule, name){
+            let unknown = _.difference(_.keys(rule), RULES);
+            if(unknown.length) throw new Error(`Validator - Unknown rule ${unknown.join(', ')} for ${name}. Must be ${RULES.join(', ')}`);
+            if(rule.regex && !_.isRegExp(rule.regex) && !_.isString(rule.regex)) throw new Error(`Validator - The regex rule for ${name} must be a RegExp or a string`);
+        });
+
+        _.each(_.difference(required, headers), function(name){
+            self._error(1, name, 'header', null, `Missing required header ${name}`);
+        });
+        _.each(_.difference(_.keys(rules), headers), function(name){
+            if(!_.includes(required, name)) self._error(1, name, 'header', null, `Rules are given for ${name}, which isn't a header of the file`);
+        });
+
+        this.columns = _.compact(headers.map(function(name, i){
+            let rule = rules[name];
+            if(!rule) return null;
+            return {
+                name: name,
+                index: i,
+                rule: rule,
+                // A global or sticky regex remembers where it stopped, a copy without those flags tests every value from the start
+                regex: rule.regex ? new RegExp(_.isRegExp(rule.regex) ? rule.regex.source : rule.regex, _.isRegExp(rule.regex) ? rule.regex.flags.replace(/[gy]/g, '') : '') : null,
+                seen: rule.unique ? new Map() : null
+            };
+        }));
+    }
+
+    /**
+     * Checks a record
+     * @param  {array}  record Field values
+     * @param  {Number} line   Line of the file the record starts on, the header row is line 1. Blank lines and quoted line breaks count
+     */
+    add (record, line) {
+        const self = this;
+        this.rows++;
+
+        if(record.length !== this.headers.length) this._error(line, null, 'columns', null, `Expected ${this.headers.length} fields, found ${record.length}`);
+        if(_.some(record, function(value){ return value && value.indexOf(REPLACEMENT) >= 0; })) this._error(line, null, 'encoding', null, 'Bytes that are not valid UTF-8');
+
+        _.each(this.columns, function(column){
+            let value = record[column.index],
+                rule = column.rule;
+            if(value === null || value === undefined || value === '') {
+                if(rule.required) self._error(line, column.name, 'required', value === undefined ? null : value, `${column.name} is required`);
+                return;
+            }
+            if(column.regex && !column.regex.test(value)) self._error(line, column.name, 'regex', value, `${column.name} doesn't match ${column.regex}`);
+            if(rule.email && !EMAIL.test(value)) self._error(line, column.name, 'email', value, `${column.name} isn't an email address`);
+            if(rule.maxLength && value.length > rule.maxLength) self._error(line, column.name, 'maxLength', value, `${column.name} is longer than ${rule.maxLength} characters`);
+            if(column.seen) {
+                if(column.seen.has(value)) self._error(line, column.name, 'unique', value, `${column.name} repeats the value on line ${column.seen.get(value)}`);
+                else column.seen.set(value, line);
+            }
+        });
+    }
+
+    result () {
+        return {valid: !this.errorCount, rows: this.rows, errorCount: this.errorCount, errors: this.errors};
+    }
+
+    _error (line, column, rule, value, message) {
+        this.errorCount++;
+        if(this.errors.length < this.maxErrors) this.errors.push({line: line, column: column, rule: rule, value: value, message: message});
+    }
+}
+
+module.exports = {RULES, Profiler, Validator};
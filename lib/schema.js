@@ -0,0 +1,198 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const mysql = require('mysql'),
+      _ = require('lodash');
+
+const DEFAULT_TYPE = 'VARCHAR(1000)',
+      OPTION = /^\w+$/,
+      MAX_IDENTIFIER = 64;
+
+/**
+ * normalizeColumn
+ * Turns a header into a column definition object
+ * Headers can be a plain name or an object {name, type, nullable, default, primaryKey, unique, autoIncrement, charset, collation, comment}
+ * @param  {string | object} header    Header name or column object
+ * @param  {object}          [columns] Map of header name to type, used when the header doesn't declare one
+ * @return {object}                    Column object, always with a name and type
+ */
+const normalizeColumn = function(header, columns = {}) {
+    if(_.isString(header)) return {name: header, type: columns[header] || DEFAULT_TYPE};
+    if(!_.isPlainObject(header) || !header.name) throw new Error(`Headers must be strings or objects with a name property, received ${JSON.stringify(header)}`);
+    return _.assign({}, header, {type: header.type || columns[header.name] || DEFAULT_TYPE});
+};
+
+/**
+ * splitTable
+ * Splits a schema qualified table name, ex: reports.daily, the same way escapeId reads it
+ * @param  {string} table Table name, optionally prefixed with the database
+ * @return {object}       {database, name} - database is null when the name isn't qualified
+ */
+const splitTable = function(table) {
+    let parts = String(table).split('.');
+    if(parts.length === 1) return {database: null, name: parts[0]};
+    return {database: parts[0], name: parts.slice(1).join('.')};
+};
+
+/**
+ * columnList
+ * Escapes column names for a column list, ex: (`email`, `first name`)
+ * Column names are never qualified, so dots stay part of the name.
+ * @param  {array} names Column names
+ * @return {string}      Comma separated, escaped names
+ */
+const columnList = function(names) {
+    return names.map(function(name){ return mysql.escapeId(name, true); }).join(', ');
+};
+
+/**
+ * orderList
+ * Escapes an ORDER BY list, each column can be followed by ASC or DESC
+ * @param  {string | array} orderBy ex: "last DESC" or ["last DESC", "first"]
+ * @return {string}                 ex: `last` DESC, `first`
+ */
+const orderList = function(orderBy) {
+    return _.concat([], orderBy).map(function(order){
+        let parts = String(order).trim().match(/^(.+?)(?:\s+(ASC|DESC))?$/i);
+        return mysql.escapeId(parts[1], true) + (parts[2] ? ' ' + parts[2].toUpperCase() : '');
+    }).join(', ');
+};
+
+/**
+ * checkOption
+ * Charsets, collations and engines can't be escaped as values, make sure they are plain words
+ */
+const checkOption = function(name, value) {
+    if(!OPTION.test(value)) throw new Error(`Invalid ${name} "${value}"`);
+    return value;
+};
+
+/**
+ * columnDefinition
+ * Build the column part of a CREATE TABLE statement for a single column
+ * @param  {object} column Normalized column object
+ * @return {string}        ex: "`email` VARCHAR(255) CHARACTER SET utf8mb4 NOT NULL DEFAULT ''"
+ */
+const columnDefinition = function(column) {
+    let definition = [mysql.escapeId(column.name, true), column.type];
+    if(column.charset) definition.push('CHARACTER SET ' + checkOption('charset', column.charset));
+    if(column.collation) definition.push('COLLATE ' + checkOption('collation', column.collation));
+    if(column.nullable === false || column.primaryKey) definition.push('NOT NULL');
+    if(column.nullable === true && !column.primaryKey) definition.push('NULL');
+    if(column.default !== undefined) definition.push('DEFAULT ' + mysql.escape(column.default));
+    if(column.autoIncrement) definition.push('AUTO_INCREMENT');
+    if(column.comment) definition.push('COMMENT ' + mysql.escape(column.comment));
+    return definition.join(' ');
+};
+
+/**
+ * keyDefinitions
+ * Primary key and unique constraints declared on the columns
+ * Every column flagged primaryKey becomes part of a single (possibly composite) PRIMARY KEY.
+ * unique: true creates a unique key on the column, columns sharing the same unique name share a composite key.
+ * @param  {array} columns Normalized column objects
+ * @return {array}         Constraint definitions
+ */
+const keyDefinitions = function(columns) {
+    let keys = [],
+        primary = _.filter(columns, 'primaryKey').map(function(column){ return column.name; }),
+        unique = {};
+
+    if(primary.length) keys.push(`PRIMARY KEY (${columnList(primary)})`);
+
+    _.each(columns, function(column){
+        if(!column.unique) return;
+        let name = _.isString(column.unique) ? column.unique : column.name;
+        unique[name] = _.concat(unique[name] || [], column.name);
+    });
+    _.each(unique, function(fields, name){
+        keys.push(`UNIQUE KEY ${mysql.escapeId(name, true)} (${columnList(fields)})`);
+    });
+
+    return keys;
+};
+
+/**
+ * tableOptions
+ * Table options appended after the column definitions
+ * @param  {String} [engine]    Storage engine, ex: InnoDB
+ * @param  {String} [charset]   Default character set, ex: utf8mb4
+ * @param  {String} [collation] Default collation, ex: utf8mb4_unicode_ci
+ * @param  {String} [comment]   Table comment
+ * @return {string}
+ */
+const tableOptions = function({engine, charset, collation, comment} = {}) {
+    let options = [];
+    if(engine) options.push('ENGINE=' + checkOption('engine', engine));
+    if(charset) options.push('DEFAULT CHARSET=' + checkOption('charset', charset));
+    if(collation) options.push('COLLATE=' + checkOption('collation', collation));
+    if(comment) options.push('COMMENT=' + mysql.escape(comment));
+    return options.join(' ');
+};
+
+/**
+ * sanitizeHeaders
+ * Cleans file headers into valid, unique MySQL column names
+ * Anything other than letters, numbers, _ and $ becomes _, names made of only digits or nothing at all
+ * get a column_ prefix, names are cut to 64 characters and duplicates get a _2, _3 suffix.
+ * MySQL column names are case insensitive, so Email and email count as duplicates.
+ * @param  {array} headers Header names as found in the file
+ * @return {array}         [{original, name}] in header order
+ */
+const sanitizeHeaders = function(headers) {
+    let used = {};
+
+    return headers.map(function(original, i){
+        let name = _.trim(String(original === null || original === undefined ? '' : original))
+            .replace(/[^0-9a-zA-Z_$]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+
+        if(!name) name = 'column_' + (i + 1);
+        if(/^\d+$/.test(name)) name = 'column_' + name;
+        name = name.slice(0, MAX_IDENTIFIER);
+
+        let unique = name,
+            n = 1;
+        while(used[unique.toLowerCase()]) {
+            n++;
+            unique = name.slice(0, MAX_IDENTIFIER - String(n).length - 1) + '_' + n;
+        }
+        used[unique.toLowerCase()] = true;
+
+        return {original: original, name: unique};
+    });
+};
+
+/**
+ * compareColumns
+ * Compares the headers of a file with the columns of a table, matching names case insensitively like MySQL
+ * reordered lists the columns found in both at a different position, relative to the other shared columns
+ * @param  {array} headers Header names of the file, null for headers left out on purpose
+ * @param  {array} columns Column names of the table
+ * @return {object}        {added, missing, reordered, drifted, mapping} - mapping holds the table column of each header, or null
+ */
+const compareColumns = function(headers, columns) {
+    let byName = {};
+    columns.forEach(function(column){ byName[column.toLowerCase()] = column; });
+
+    let mapping = headers.map(function(header){
+            return header !== null && _.has(byName, header.toLowerCase()) ? byName[header.toLowerCase()] : null;
+        }),
+        shared = _.compact(mapping),
+        found = _.keyBy(shared, function(column){ return column.toLowerCase(); }),
+        added = headers.filter(function(header, i){ return header !== null && mapping[i] === null; }),
+        missing = columns.filter(function(column){ return !found[column.toLowerCase()]; }),
+        tableOrder = columns.filter(function(column){ return found[column.toLowerCase()]; }),
+        reordered = shared.filter(function(column, i){ return tableOrder[i] !== column; });
+
+    return {
+        added: added,
+        missing: missing,
+        reordered: reordered,
+        drifted: !!(added.length || missing.length || reordered.length),
+        mapping: mapping
+    };
+};
+
+module.exports = {DEFAULT_TYPE, normalizeColumn, sanitizeHeaders, splitTable, columnList, orderList, columnDefinition, keyDefinitions, tableOptions, compareColumns};
@@ -0,0 +1,109 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const mysql = require('mysql'),
+      _ = require('lodash');
+
+const TRANSFORMS = ['trim', 'lower', 'upper', 'nullIfEmpty', 'date', 'replace'];
+
+// Date format tokens and the STR_TO_DATE specifier for each, longest first so YYYY isn't read as YY twice
+// Literal text in [brackets], or a run of the same letter, which must be a whole token
+const DATE_TOKENS = /\[([^\]]*)\]|([A-Za-z])\2*/g,
+      SPECIFIERS = {YYYY: '%Y', YY: '%y', MMMM: '%M', MMM: '%b', MM: '%m', M: '%c', DD: '%d', D: '%e', HH: '%H', hh: '%h', mm: '%i', ss: '%s', A: '%p'};
+
+/**
+ * dateFormat
+ * Turns a date format into a STR_TO_DATE format. Formats holding a % outside brackets are taken to be STR_TO_DATE formats already.
+ * Letters are always tokens, literal text goes in brackets, ex: YYYY-MM-DD[T]HH:mm:ss
+ * @param  {string} format ex: MM/DD/YYYY
+ * @return {string}        ex: %m/%d/%Y
+ */
+const dateFormat = function(format) {
+    if(!_.isString(format) || !format) throw new Error('The date transform needs a format, ex: {date: "MM/DD/YYYY"}');
+    if(format.replace(DATE_TOKENS, '').indexOf('%') >= 0) return format;
+    return format.replace(DATE_TOKENS, function(token, literal){
+        if(literal !== undefined) return literal.replace(/%/g, '%%');
+        if(!_.has(SPECIFIERS, token)) throw new Error(`Unknown date token "${token}" in "${format}". Must be ${_.keys(SPECIFIERS).join(', ')}, put literal text in brackets, ex: [T]`);
+        return SPECIFIERS[token];
+    });
+};
+
+/**
+ * step
+ * SQL of a single transform applied to an expression
+ * @param  {string | object} transform ex: "trim" or {date: "MM/DD/YYYY"}
+ * @param  {string}          sql       Expression the transform applies to
+ * @return {string}                    ex: TRIM(@f0)
+ */
+const step = function(transform, sql) {
+    let name = _.isString(transform) ? transform : _.keys(transform)[0],
+        arg = _.isPlainObject(transform) ? transform[name] : undefined;
+    if(_.isPlainObject(transform) && _.size(transform) !== 1) throw new Error(`A transform object must have a single key, received ${JSON.stringify(transform)}`);
+
+    switch(name) {
+        case 'trim': return `TRIM(${sql})`;
+        case 'lower': return `LOWER(${sql})`;
+        case 'upper': return `UPPER(${sql})`;
+        case 'nullIfEmpty': return `NULLIF(${sql}, '')`;
+        case 'date': return `STR_TO_DATE(${sql}, ${mysql.escape(dateFormat(arg))})`;
+        case 'replace':
+            if(!_.isArray(arg) || arg.length !== 2) throw new Error('The replace transform needs the text to find and its replacement, ex: {replace: ["-", ""]}');
+            return `REPLACE(${sql}, ${mysql.escape(String(arg[0]))}, ${mysql.escape(String(arg[1]))})`;
+        default: throw new Error(`Unknown transform ${JSON.stringify(transform)}. Must be ${TRANSFORMS.join(', ')}`);
+    }
+};
+
+/**
+ * compile
+ * Compiles the transforms of a column into a function building its SQL expression
+ * The same expression is used for LOAD DATA's SET clause, on a user variable, and for inserts, on the escaped value,
+ * so both loaders transform values exactly the same way.
+ * @param  {string | object | array} transforms ex: ["trim", "lower"] or {date: "MM/DD/YYYY"}, applied in order
+ * @return {function}                           Takes the SQL of the value, returns the transformed expression
+ */
+const compile = function(transforms) {
+    let steps = _.concat([], transforms);
+    if(!steps.length) throw new Error('Transforms must not be empty');
+    // Built once up front so bad transforms throw before anything is loaded
+    steps.reduce(function(sql, transform){ return step(transform, sql); }, '?');
+    return function(sql) {
+        return steps.reduce(function(expression, transform){ return step(transform, expression); }, sql);
+    };
+};
+
+/**
+ * forColumns
+ * Compiles the transforms of each column loaded
+ * @param  {array}  columns      Column each field of the file loads into, null for skipped fields
+ * @param  {object} [transforms] Transforms by column name, see compile
+ * @return {array}               Compiled transform of each field, null when it has none
+ */
+const forColumns = function(columns, transforms = {}) {
+    let unknown = _.difference(_.keys(transforms), _.compact(columns));
+    if(unknown.length) throw new Error(`Transforms are given for ${unknown.join(', ')}, which ${unknown.length > 1 ? "aren't" : "isn't"} loaded from the file`);
+    return columns.map(function(column){
+        return column !== null && _.has(transforms, column) ? compile(transforms[column]) : null;
+    });
+};
+
+/**
+ * loadClause
+ * Column list of LOAD DATA, with the SET clause for transformed columns
+ * Skipped fields are read into @dummy, transformed fields into a user variable the SET clause reads from
+ * @param  {array} columns  Column each field of the file loads into, null for skipped fields
+ * @param  {array} compiled Compiled transforms from forColumns
+ * @return {string}         ex: (`email`, @dummy, @f2) SET `signup` = STR_TO_DATE(@f2, '%m/%d/%Y')
+ */
+const loadClause = function(columns, compiled = []) {
+    let set = [];
+    let fields = columns.map(function(column, i){
+        if(column === null) return '@dummy';
+        if(!compiled[i]) return mysql.escapeId(column, true);
+        set.push(`${mysql.escapeId(column, true)} = ${compiled[i](`@f${i}`)}`);
+        return `@f${i}`;
+    });
+    return `(${fields.join(', ')})` + (set.length ? ` SET ${set.join(', ')}` : '');
+};
+
+module.exports = {TRANSFORMS, dateFormat, compile, forColumns, loadClause};
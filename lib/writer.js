@@ -0,0 +1,418 @@
+/*jshint esversion: 6 */
+/*jslint node: true */
+"use strict";
+
+const fs = require('fs'),
+      path = require('path'),
+      crypto = require('crypto'),
+      Transform = require('stream').Transform,
+      Writable = require('stream').Writable,
+      compress = require('./compress');
+
+const QUOTING = ['needed', 'all', 'none'],
+      FORMATS = ['csv', 'tsv', 'ndjson', 'json', 'fixed-width'],
+      ALIGN = ['left', 'right'];
+
+// MySQL's own tab separated text, what LOAD DATA and SELECT INTO OUTFILE use by default
+const TSV = {delimiter: "\t", quotes: '', escape: "\\", quoting: 'none', nullValue: "\\N"};
+
+/**
+ * Formatter
+ * Turns rows (arrays of values) into lines of delimited text, the reverse of the parser's Tokenizer
+ * - null is written as nullValue and never quoted
+ * - with quoting "needed" a value is quoted when it holds the delimiter, the quote, the escape or a line break,
+ *   "all" quotes every value and "none" never quotes
+ * - inside quotes a quote is doubled (RFC 4180), or escaped with the escape character when there is one
+ * - outside quotes the escape character escapes the delimiter and line breaks, like SELECT INTO OUTFILE
+ * @param  {String} [delimiter=","]   Field terminator
+ * @param  {String} [quotes='"']      Character wrapping values, "" turns quoting off
+ * @param  {String} [escape=""]       Escape character, "" doubles quotes instead
+ * @param  {String} [newline="\n"]    Line terminator
+ * @param  {String} [quoting="needed"] "needed", "all" or "none"
+ * @param  {String} [nullValue=""]    Text written for null values, ex: \N
+ */
+class Formatter {
+    constructor ({delimiter = ",", quotes = '"', escape = '', newline = "\n", quoting = "needed", nullValue = ''} = {}) {
+        if(!delimiter) throw new Error('Writer - delimiter can not be empty');
+        if(!newline) throw new Error('Writer - newline can not be empty');
+        if(QUOTING.indexOf(quoting) < 0) throw new Error(`Writer - Unknown quoting "${quoting}". Must be ${QUOTING.join(', ')}`);
+
+        this.delimiter = delimiter;
+        this.quotes = quotes || '';
+        this.escape = escape || '';
+        this.newline = newline;
+        this.quoting = this.quotes ? quoting : 'none';
+        this.nullValue = nullValue;
+    }
+
+    value (value) {
+        if(value === null || value === undefined) return this.nullValue;
+        if(Buffer.isBuffer(value)) value = value.toString();
+        value = String(value);
+
+        let quote = this.quoting === 'all' || (this.quoting === 'needed' && this._special(value));
+        if(quote) return this.quotes + this._escapeQuoted(value) + this.quotes;
+        return this._escapeUnquoted(value);
+    }
+
+    line (values) {
+        const self = this;
+        return values.map(function(value){ return self.value(value); }).join(this.delimiter) + this.newline;
+    }
+
+    begin (header) {
+        return header ? this.line(header) : '';
+    }
+
+    end () {
+        return '';
+    }
+
+    _special (value) {
+        return value.indexOf(this.delimiter) >= 0 ||
+            value.indexOf(this.quotes) >= 0 ||
+            (this.escape && value.indexOf(this.escape) >= 0) ||
+            value.indexOf('\n') >= 0 ||
+            value.indexOf('\r') >= 0 ||
+            value.indexOf(this.newline) >= 0 ||
+            // A value that reads as null when loaded back needs quotes to stay a string
+            (this.nullValue !== '' && value === this.nullValue);
+    }
+
+    _escapeQuoted (value) {
+        if(!this.escape) return value.split(this.quotes).join(this.quotes + this.quotes);
+        return value.split(this.escape).join(this.escape + this.escape).split(this.quotes).join(this.escape + this.quotes);
+    }
+
+    _escapeUnquoted (value) {
+        if(!this.escape) return value;
+        const escape = this.escape;
+        value = value.split(escape).join(escape + escape);
+        [this.delimiter, this.newline, '\n', '\r'].forEach(function(token, i, tokens){
+            if(token === escape || tokens.indexOf(token) < i) return;
+            value = value.split(token).join(escape + token);
+        });
+        return value;
+    }
+}
+
+/**
+ * JsonValue
+ * Text that is written into JSON as it is, for numbers and JSON columns read as MySQL's text
+ * DECIMAL and BIGINT text is kept exactly, parsing it into a JavaScript number could round it.
+ */
+class JsonValue {
+    constructor (text) {
+        this.text = text;
+    }
+}
+
+/**
+ * JsonFormatter
+ * Turns rows into JSON objects, one per line (NDJSON) or as the items of a JSON array
+ * null is written as null, JsonValue as its text and everything else as a string.
+ * @param  {array}  columns         Keys of the objects, in order
+ * @param  {bool}   [array=false]   Write a JSON array instead of one object per line
+ * @param  {String} [newline="\n"]  Line terminator
+ */
+class JsonFormatter {
+    constructor ({columns, array = false, newline = "\n"} = {}) {
+        if(!Array.isArray(columns)) throw new Error('Writer - JSON output needs the column names');
+        this.keys = columns.map(function(column){ return JSON.stringify(String(column)); });
+        this.array = array;
+        this.newline = newline;
+        this.rows = 0;
+    }
+
+    value (value) {
+        if(value === null || value === undefined) return 'null';
+        if(value instanceof JsonValue) return value.text;
+        if(Buffer.isBuffer(value)) value = value.toString();
+        return JSON.stringify(String(value));
+    }
+
+    line (values) {
+        const self = this;
+        let object = '{' + values.map(function(value, i){ return self.keys[i] + ':' + self.value(value); }).join(',') + '}';
+        if(!this.array) return object + this.newline;
+        return (this.rows++ ? ',' : '') + this.newline + object;
+    }
+
+    begin () {
+        return this.array ? '[' : '';
+    }
+
+    end () {
+        return this.array ? this.newline + ']' + this.newline : '';
+    }
+}
+
+/**
+ * FixedWidthFormatter
+ * Turns rows into fixed width records, each value padded to the width of its column
+ * Values are never cut, a value longer than its column is an error.
+ * @param  {array}          columns         Column names, in order
+ * @param  {array | object} widths          Width of each column in characters, in column order or by column name
+ * @param  {object}         [align={}]      "left" or "right" by column name, columns are left aligned by default
+ * @param  {String}         [pad=" "]       Character filling the rest of each column
+ * @param  {String}         [newline="\n"]  Line terminator
+ * @param  {String}         [nullValue=""]  Text written for null values
+ */
+class FixedWidthFormatter {
+    constructor ({columns, widths, align = {}, pad = ' ', newline = "\n", nullValue = ''} = {}) {
+        if(!Array.isArray(columns)) throw new Error('Writer - Fixed width output needs the column names');
+        if(!widths || typeof widths !== 'object') throw new Error('Writer - Fixed width output needs widths, an array in column order or an object by column name');
+        if(typeof pad !== 'string' || pad.length !== 1) throw new Error('Writer - pad must be a single character');
+
+        this.columns = columns;
+        this.widths = columns.map(function(column, i){
+            let width = Array.isArray(widths) ? widths[i] : widths[column];
+            if(!Number.isInteger(width) || width < 1) throw new Error(`Writer - ${column} needs a width of 1 or more`);
+            return width;
+        });
+        this.align = columns.map(function(column){
+            let side = align[column] || 'left';
+            if(ALIGN.indexOf(side) < 0) throw new Error(`Writer - Unknown align "${side}" for ${column}. Must be ${ALIGN.join(', ')}`);
+            return side;
+        });
+        this.pad = pad;
+        this.newline = newline;
+        this.nullValue = nullValue;
+    }
+
+    value (value, i) {
+        if(value === null || value === undefined) value = this.nullValue;
+        if(Buffer.isBuffer(value)) value = value.toString();
+        value = String(value);
+        if(value.length > this.widths[i]) throw new Error(`Writer - "${value}" is longer than the ${this.widths[i]} characters of ${this.columns[i]}`);
+        return this.align[i] === 'right' ? value.padStart(this.widths[i], this.pad) : value.padEnd(this.widths[i], this.pad);
+    }
+
+    line (values) {
+        const self = this;
+        return values.map(function(value, i){ return self.value(value, i); }).join('') + this.newline;
+    }
+
+    begin (header) {
+        return header ? this.line(header) : '';
+    }
+
+    end () {
+        return '';
+    }
+}
+
+/**
+ * formatter
+ * Formatter for an output format
+ * @param  {String} [format="csv"] "csv", "tsv", "ndjson", "json" or "fixed-width". tsv is MySQL's tab separated text, the delimiter, quote, escape and null options don't apply to it
+ * @param  {object} options        Options of the format's formatter
+ * @return {object}                Formatter with begin, line and end methods
+ */
+const formatter = function(format = 'csv', options = {}) {
+    switch(format) {
+        case 'csv': return new Formatter(options);
+        case 'tsv': return new Formatter(Object.assign({}, options, TSV));
+        case 'ndjson': return new JsonFormatter(options);
+        case 'json': return new JsonFormatter(Object.assign({}, options, {array: true}));
+        case 'fixed-width': return new FixedWidthFormatter(options);
+        default: throw new Error(`Writer - Unknown format "${format}". Must be ${FORMATS.join(', ')}`);
+    }
+};
+
+/**
+ * RowWriter
+ * Transform stream version of the formatters. Takes rows, emits text in the format asked for.
+ * Rows can be arrays, or objects when columns is given. count and bytes keep track of the rows and bytes written.
+ * @param  {String} [format="csv"]  Output format, see formatter
+ * @param  {object} options         Options of the format's formatter
+ * @param  {array}  [columns]       Keys to read from object rows, in output order. Also the keys of JSON objects and the columns of fixed width records
+ * @param  {array}  [header]        Header row written first, even when there are no rows. JSON formats have no header row
+ * @param  {String} [encoding="utf8"] Encoding of the text emitted
+ */
+class RowWriter extends Transform {
+    constructor (options = {}) {
+        super({writableObjectMode: true});
+        this._formatter = formatter(options.format, options);
+        this._columns = options.columns || null;
+        this._encoding = options.encoding || 'utf8';
+        this.count = 0;
+        this.bytes = 0;
+        this._writeText(this._formatter.begin(options.header || null));
+    }
+
+    _writeText (text) {
+        if(!text) return;
+        let chunk = Buffer.from(text, this._encoding);
+        this.bytes += chunk.length;
+        this.push(chunk);
+    }
+
+    _writeLine (values) {
+        this._writeText(this._formatter.line(values));
+    }
+
+    _transform (row, encoding, callback) {
+        try {
+            if(this._columns) row = this._columns.map(function(column){ return row[column]; });
+            this._writeLine(row);
+        } catch(err) {
+            return callback(err);
+        }
+        this.count++;
+        callback();
+    }
+
+    _flush (callback) {
+        this._writeText(this._formatter.end());
+        callback();
+    }
+}
+
+/**
+ * partPath
+ * Path of a numbered part of a file, the number goes before the extensions
+ * @param  {string} filepath ex: ./exports/out.csv.gz
+ * @param  {Number} number   Part number, from 1
+ * @return {string}          ex: ./exports/out_001.csv.gz
+ */
+const partPath = function(filepath, number) {
+    let name = path.basename(filepath),
+        base = compress.baseName(filepath);
+    return filepath.slice(0, filepath.length - name.length) + `${base}_${String(number).padStart(3, '0')}${name.slice(base.length)}`;
+};
+
+/**
+ * PartWriter
+ * Writable stream splitting rows across numbered part files, see partPath
+ * A new part is started when the current one has maxRows rows, or when the next row would take it past maxBytes.
+ * Every part is a whole file in the format asked for, with its own header row, or its own JSON array.
+ * At least one part is written, a header only part when there are no rows.
+ * parts lists each part written as {filepath, rows, bytes, sha256}, bytes and sha256 are of the file on disk.
+ * Parts already written are deleted when the stream is destroyed with an error.
+ * @param  {string} filepath             Path the parts are named after
+ * @param  {Number} [maxRows]            Max rows per part
+ * @param  {Number} [maxBytes]           Max bytes per part, counted before compression. A single row over it is an error
+ * @param  {String} [compression="none"] "none" or "gzip", see compress.createOutput
+ * @param  {object} options              Same options as RowWriter
+ */
+class PartWriter extends Writable {
+    constructor (options = {}) {
+        super({objectMode: true});
+        this._options = options;
+        this._filepath = options.filepath;
+        this._maxRows = options.maxRows || Infinity;
+        this._maxBytes = options.maxBytes || Infinity;
+        this._compression = options.compression || 'none';
+        this._columns = options.columns || null;
+        this._encoding = options.encoding || 'utf8';
+        // Throws on bad options before any file is opened
+        formatter(options.format, options);
+        this._part = null;
+        this.parts = [];
+        this.count = 0;
+        this.bytes = 0;
+    }
+
+    _open () {
+        let part = {
+            filepath: partPath(this._filepath, this.parts.length + 1),
+            formatter: formatter(this._options.format, this._options),
+            hash: crypto.createHash('sha256'),
+            rows: 0,
+            bytes: 0
+        };
+        let opened = compress.createOutput(part.filepath, {compression: this._compression});
+        part.output = opened.output;
+        part.file = opened.file;
+        const self = this;
+        let fail = function(err){ self.destroy(err); };
+        part.output.on('error', fail);
+        part.file.on('error', fail);
+        // With gzip output is the compressor, what it emits is what lands on disk
+        if(part.output !== part.file) part.output.on('data', function(chunk){ part.hash.update(chunk); });
+        this.parts.push({filepath: part.filepath, rows: 0, bytes: 0, sha256: null});
+        this._part = part;
+        this._text(part.formatter.begin(this._options.header || null));
+        return part;
+    }
+
+    _text (text) {
+        if(!text) return true;
+        let part = this._part,
+            chunk = Buffer.from(text, this._encoding);
+        part.bytes += chunk.length;
+        this.bytes += chunk.length;
+        if(part.output === part.file) part.hash.update(chunk);
+        return part.output.write(chunk);
+    }
+
+    _close (callback) {
+        let part = this._part,
+            entry = this.parts[this.parts.length - 1];
+        this._text(part.formatter.end());
+        this._part = null;
+        part.file.on('finish', function(){
+            entry.rows = part.rows;
+            entry.bytes = part.file.bytesWritten;
+            entry.sha256 = part.hash.digest('hex');
+            callback();
+        });
+        part.output.end();
+    }
+
+    _write (row, encoding, callback) {
+        if(this._columns) row = this._columns.map(function(column){ return row[column]; });
+        this._writeRow(row, callback);
+    }
+
+    _writeRow (values, callback) {
+        let line;
+        try {
+            if(!this._part) this._open();
+            line = this._part.formatter.line(values);
+            let size = Buffer.byteLength(line, this._encoding) + Buffer.byteLength(this._part.formatter.end(), this._encoding);
+            if(this._part.rows && (this._part.rows >= this._maxRows || this._part.bytes + size > this._maxBytes)) {
+                const self = this;
+                return this._close(function(){
+                    self._writeRow(values, callback);
+                });
+            }
+            if(this._part.bytes + size > this._maxBytes) throw new Error(`Writer - Row ${this.count + 1} doesn't fit in ${this._maxBytes} bytes with the header`);
+        } catch(err) {
+            return callback(err);
+        }
+        this._part.rows++;
+        this.count++;
+        if(this._text(line)) return callback();
+        this._part.output.once('drain', callback);
+    }
+
+    _final (callback) {
+        try {
+            if(!this._part) this._open();
+        } catch(err) {
+            return callback(err);
+        }
+        this._close(callback);
+    }
+
+    _destroy (err, callback) {
+        if(!err) return callback();
+        let part = this._part;
+        if(part) {
+            part.output.destroy();
+            part.file.destroy();
+        }
+        let paths = this.parts.map(function(entry){ return entry.filepath; }),
+            left = paths.length;
+        if(!left) return callback(err);
+        paths.forEach(function(filepath){
+            fs.unlink(filepath, function(){
+                if(--left === 0) callback(err);
+            });
+        });
+    }
+}
+
+module.exports = {FORMATS, Formatter, JsonValue, JsonFormatter, FixedWidthFormatter, formatter, RowWriter, partPath, PartWriter};
@@ -5,6 +5,8 @@ const mocha = require('mocha'),
       chai = require('chai'),
       chaiAsPromised = require("chai-as-promised"),
       fs = require('fs'),
+      zlib = require('zlib'),
+      crypto = require('crypto'),
       MySQL = require('../index.js');
        
 chai.use(chaiAsPromised);
@@ -34,6 +36,9 @@ describe('Table Methods', function(){
         .then(function(){
             return mysql.query('DROP TABLE IF EXISTS test3');
         })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS test4');
+        })
         .then(function(){
             done();
         })
@@ -49,6 +54,74 @@ describe('Table Methods', function(){
         it('Runs Commands', function(){
             return mysql.query('SELECT 1 FROM test LIMIT 1').should.eventually.be.fulfilled;
         });
+        
+        it('Logs Statements with the Values Redacted', function(){
+            let lines = [],
+                logger = {debug: function(message, context){ lines.push([message, context]); }},
+                logged = new MySQL({host: 'localhost', user: 'root', database: 'nodeetl-mysql'}, {logger: logger, logLevel: 'debug', logSql: true});
+            return logged.query('SELECT 1 FROM test WHERE email = ?', 'luke@jedi.com')
+            .then(function(){
+                return lines;
+            }).should.eventually.deep.equal([['SQL', {sql: 'SELECT ? FROM test WHERE email = ?'}]]);
+        });
+
+    });
+
+    describe('Connections', function(){
+        // A pool of 2 runs dry after 2 leaked connections
+        const small = new MySQL({
+          host     : 'localhost',
+          user     : 'root',
+          database : 'nodeetl-mysql',
+          connectionLimit : 2
+        });
+        
+        it('Runs Commands on One Connection', function(){
+            return small.withConnection(function(db){
+                return db.query('CREATE TEMPORARY TABLE connection_test (id INT)')
+                .then(function(){
+                    return db.tableExists('connection_test');
+                })
+                .then(function(){
+                    return 'done';
+                });
+            }).should.eventually.equal('done');
+        });
+        
+        it('Commits Transactions', function(){
+            return small.transaction(function(db){
+                return db.query('INSERT INTO test (email) VALUES (?)', 'commit@test.com');
+            })
+            .then(function(){
+                return small.query('SELECT * FROM test WHERE email = ?', 'commit@test.com');
+            }).should.eventually.have.lengthOf(1);
+        });
+        
+        it('Rolls Back Failed Transactions', function(){
+            return small.transaction(function(db){
+                return db.query('INSERT INTO test (email) VALUES (?)', 'rollback@test.com')
+                .then(function(){
+                    return db.query('SELECT missing_column FROM test');
+                });
+            }).should.eventually.be.rejected
+            .then(function(){
+                return small.query('SELECT * FROM test WHERE email = ?', 'rollback@test.com');
+            }).should.eventually.have.lengthOf(0);
+        });
+        
+        it('Releases Connections after Errors', function(){
+            let failures = [];
+            for(let i = 0; i < 3; i++) {
+                failures.push(small.query('SELECT missing_column FROM test').catch(function(){}));
+                failures.push(small.createStagingTable('missing_table').catch(function(){}));
+                failures.push(small.withConnection(function(){ throw new Error('failed'); }).catch(function(){}));
+                failures.push(small.transaction(function(){ throw new Error('failed'); }).catch(function(){}));
+            }
+            return Promise.all(failures)
+            .then(function(){
+                return small.query('SELECT 1 AS ok');
+            }).should.eventually.deep.equal([{ok: 1}]);
+        });
 
     });
 
@@ -57,9 +130,81 @@ describe('Table Methods', function(){
             return mysql.tableExists('test').should.eventually.be.fulfilled;
         });
         
+        it('Checks if a Table Qualified with the Database Exists', function(){
+            return mysql.tableExists('nodeetl-mysql.test').should.eventually.be.fulfilled;
+        });
+        
+        it('Does not Run SQL Hidden in a Table Name', function(){
+            return mysql.tableExists("test'; DROP TABLE test; --").should.eventually.be.rejected
+            .then(function(){
+                return mysql.tableExists('test').should.eventually.be.fulfilled;
+            });
+        });
+        
         it('Gets Headers from File', function(){
             return mysql.getFileHeaders('./test/data.csv').should.eventually.deep.equal(['email', 'first', 'last']);
         });
+        
+        it('Gets Headers from Compressed Files', function(){
+            return Promise.all([mysql.getFileHeaders('./test/data.csv.gz'), mysql.getFileHeaders('./test/data.zip'), mysql.getFileHeaders('./test/data.csv.bz2')]).should.eventually.deep.equal([['email', 'first', 'last'], ['email', 'first', 'last'], ['email', 'first', 'last']]);
+        });
+        
+        it('Strips Quotes from Headers', function(){
+            return mysql.getFileHeaders('./test/data3.csv').should.eventually.deep.equal(['allianceid', 'weapon_preference']);
+        });
+        
+        it('Profiles Each Column of a File', function(){
+            return mysql.profileFile({filepath: './test/vendor.csv'})
+            .then(function(results){
+                return [results.rows, results.consistent, results.fieldCounts, results.badEncoding, results.profile.map(function(column){
+                    return [column.name, column.filled, column.empty, column.nulls, column.distinct, column.minLength, column.maxLength];
+                })];
+            }).should.eventually.deep.equal([6, false, {2: 1, 3: 5}, 1, [
+                ['Email', 5, 0, 1, 4, 12, 15],
+                ['First_Name', 5, 1, 0, 5, 3, 6],
+                ['Zip', 5, 1, 0, 5, 4, 5]
+            ]]);
+        });
+        
+        it('Validates a File Against Required Headers and Rules', function(){
+            return mysql.validateFile({filepath: './test/vendor.csv', required: ['Email', 'Phone'], rules: {Email: {required: true, email: true, unique: true}, Zip: {regex: /^\d{5}$/}}})
+            .then(function(results){
+                return [results.valid, results.errorCount, results.errors.map(function(error){ return [error.line, error.column, error.rule]; })];
+            }).should.eventually.deep.equal([false, 7, [
+                [1, 'Phone', 'header'],
+                [3, 'Zip', 'regex'],
+                [4, 'Email', 'unique'],
+                [5, null, 'columns'],
+                [5, 'Email', 'email'],
+                [6, 'Email', 'required'],
+                [7, null, 'encoding']
+            ]]);
+        });
+        
+        it('Reports the Line in the File Past Quoted Line Breaks and Blank Lines', function(){
+            return mysql.validateFile({filepath: './test/multiline.csv', quotes: '"', rules: {Email: {email: true}}})
+            .then(function(results){
+                return [results.rows, results.errors.map(function(error){ return [error.line, error.rule, error.value]; })];
+            }).should.eventually.deep.equal([2, [[5, 'email', 'not-an-email']]]);
+        });
+        
+        it('Rejects Unknown Validation Rules', function(){
+            return mysql.validateFile({filepath: './test/vendor.csv', rules: {Email: {mandatory: true}}}).should.eventually.be.rejected;
+        });
+        
+        it('Cleans Headers into Unique Column Names', function(){
+            return mysql.getFileHeaders('./test/headers.csv', ',', {quotes: '"', mapping: true}).should.eventually.deep.equal({
+                headers: ['Email_Address', 'Name_Full', 'email_address_2', 'column_2017', 'column_5', 'Email_Address_3'],
+                mapping: [
+                    {original: 'Email Address', name: 'Email_Address'},
+                    {original: 'Name, Full', name: 'Name_Full'},
+                    {original: 'email address', name: 'email_address_2'},
+                    {original: '2017', name: 'column_2017'},
+                    {original: '', name: 'column_5'},
+                    {original: 'Email Address', name: 'Email_Address_3'}
+                ]
+            });
+        });
     });
     
     describe('Creates Tables', function(){
@@ -75,6 +220,48 @@ describe('Table Methods', function(){
             return mysql.createNewTable({table:'test2', headers:['email', 'first', 'last'], overwrite: true}).should.eventually.equal('test2');
         });
         
+        it('Creates a New Table from Column Definitions', function(){
+            return mysql.createNewTable({
+                table: 'test4',
+                engine: 'InnoDB',
+                charset: 'utf8mb4',
+                headers: [
+                    {name: 'id', type: 'INT', primaryKey: true, autoIncrement: true},
+                    {name: 'email', type: 'VARCHAR(255)', nullable: false, unique: true},
+                    {name: 'status', type: 'VARCHAR(20)', default: 'active'},
+                    'first'
+                ]
+            })
+            .then(function(){
+                return mysql.query('SHOW COLUMNS FROM test4');
+            })
+            .then(function(columns){
+                return columns.map(function(column){ return [column.Field, column.Null, column.Key, column.Default]; });
+            }).should.eventually.deep.equal([
+                ['id', 'NO', 'PRI', null],
+                ['email', 'NO', 'UNI', null],
+                ['status', 'YES', '', 'active'],
+                ['first', 'YES', '', null]
+            ]);
+        });
+        
+        it('Creates, Swaps and Drops Tables with Names that Need Escaping', function(){
+            let table = "odd-name's table";
+            return mysql.createNewTable({table: table, headers: ['first name', 'what?', 'back`tick'], index: 'first name'})
+            .then(function(){
+                return mysql.createStagingTable(table);
+            })
+            .then(function(){
+                return mysql.swapTables(table);
+            })
+            .then(function(){
+                return mysql.getTableHeaders(table);
+            })
+            .then(function(headers){
+                return mysql.dropTable(table).then(function(){ return headers; });
+            }).should.eventually.deep.equal(['first name', 'what?', 'back`tick']);
+        });
+        
         it('Reject When Trying to Create a Staging Table from a Non-Exsting Table', function(){
             return mysql.createStagingTable('asdfasdf').should.eventually.be.rejected;
         });
@@ -98,6 +285,29 @@ describe('Table Methods', function(){
                 done();
             }).catch(done);
         });
+        
+        it('Keeps a Backup When Swapping Tables and Rolls Back to It', function(){
+            return mysql.createStagingTable('test')
+            .then(function(){
+                return mysql.query(`INSERT INTO test_staging VALUES ('luke@jedi.com', 'Luke', 'Skywalker')`);
+            })
+            .then(function(){
+                return mysql.swapTables('test', {backup: true});
+            })
+            .then(function(){
+                return mysql.rollbackTable('test');
+            })
+            .then(function(){
+                return mysql.query('SELECT COUNT(*) AS count FROM test');
+            })
+            .then(function(results){
+                return results[0].count;
+            }).should.eventually.equal(0);
+        });
+        
+        it('Rejects a Rollback When There is no Backup', function(){
+            return mysql.rollbackTable('test').should.eventually.be.rejected;
+        });
     });
 });
 
@@ -114,6 +324,68 @@ describe('File Methods', function(){
         .then(function(){
             return mysql.query('DROP TABLE IF EXISTS data2');
         })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS types');
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS contacts');
+        })
+        .then(function(){
+            return mysql.dropTable(['contacts_added', 'contacts_removed', 'contacts_changed']);
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS drifted');
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS signups');
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS visits');
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS `long`');
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS kept');
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS people');
+        })
+        .then(function(){
+            return mysql.dropTable(['dupes', 'dupes2']);
+        })
+        .then(function(){
+            return mysql.query('DROP TABLE IF EXISTS member_notes');
+        })
+        .then(function(){
+            return mysql.dropTable(['members', 'members_staging']);
+        })
+        .then(function(){
+            return new Promise(function(resolve,reject){
+                fs.unlink('./test/export2.csv', function(err){
+                    if(err) return reject();
+                    fs.unlink('./test/export3.csv', function(err){
+                        if(err) return reject();
+                        fs.unlink('./test/export4.csv.gz', function(err){
+                            if(err) return reject();
+                            fs.unlink('./test/export.out', function(err){
+                                if(err) return reject();
+                                fs.unlink('./test/parts_001.csv', function(err){
+                                    if(err) return reject();
+                                    fs.unlink('./test/parts_002.csv', function(err){
+                                        if(err) return reject();
+                                        fs.unlink('./test/export5.csv.gz', function(err){
+                                            if(err) return reject();
+                                            resolve();
+                                        });
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        })
         .then(function(){
             return new Promise(function(resolve,reject){
                 fs.unlink('./test/export.csv', function(err){
@@ -122,7 +394,19 @@ describe('File Methods', function(){
                         if(err) return reject();
                         fs.unlink('./test/merged2.csv', function(err){
                             if(err) return reject();
-                            resolve();
+                            fs.unlink('./test/merged3.csv', function(err){
+                                if(err) return reject();
+                                fs.unlink('./test/merged4.csv', function(err){
+                                    if(err) return reject();
+                                    fs.unlink('./test/merged5.csv', function(err){
+                                        if(err) return reject();
+                                        fs.unlink('./test/merged6.csv', function(err){
+                                            if(err) return reject();
+                                            resolve();
+                                        });
+                                    });
+                                });
+                            });
                         });
                     });
                 });
@@ -135,9 +419,388 @@ describe('File Methods', function(){
             return mysql.importFileToTable({filepath: './test/data.csv', quotes: '"'}).should.eventually.equal(4);
         });
         
+        it('Imports File to an Existing Table with Batched Inserts', function(){
+            return mysql.importFileToTable({filepath: './test/data.csv', quotes: '"', loader: 'insert', batchSize: 3}).should.eventually.equal(4);
+        });
+        
+        it('Falls Back to Batched Inserts When LOAD DATA LOCAL INFILE is Refused', function(){
+            let noInfile = new MySQL({
+                    host       : 'localhost',
+                    user       : 'root',
+                    database   : 'nodeetl-mysql',
+                    localInfile: false
+                }, {logLevel: 'silent'}),
+                loaders = [];
+            noInfile.on('load-started', function(details){ loaders.push(['load-started', details.loader]); });
+            noInfile.on('load-finished', function(details){ loaders.push(['load-finished', details.loader]); });
+            return noInfile.importFileToTable({filepath: './test/data.csv', quotes: '"', loader: 'auto'})
+            .then(function(rows){
+                return [rows, loaders];
+            }).should.eventually.deep.equal([4, [['load-started', 'infile'], ['load-started', 'insert'], ['load-finished', 'insert']]]);
+        });
+        
+        it('Falls Back to Batched Inserts When the Connection Refuses to Send the File', function(){
+            let noLocalFiles = new MySQL({
+                    host    : 'localhost',
+                    user    : 'root',
+                    database: 'nodeetl-mysql',
+                    flags   : '-LOCAL_FILES'
+                }, {logLevel: 'silent'}),
+                loaders = [];
+            noLocalFiles.on('load-finished', function(details){ loaders.push(details.loader); });
+            return noLocalFiles.importFileToTable({filepath: './test/data.csv', quotes: '"', loader: 'auto'})
+            .then(function(rows){
+                return [rows, loaders];
+            }).should.eventually.deep.equal([4, ['insert']]);
+        });
+        
+        it('Imports a Gzipped File into the Table Named after It', function(){
+            return mysql.importFileToTable({filepath: './test/data.csv.gz', quotes: '"'}).should.eventually.equal(4);
+        });
+        
+        it('Imports a Bzip2 File into the Table Named after It', function(){
+            return mysql.importFileToTable({filepath: './test/data.csv.bz2', quotes: '"'}).should.eventually.equal(4);
+        });
+        
+        it('Imports a Zipped File with Batched Inserts', function(){
+            return mysql.importFileToTable({filepath: './test/data.zip', quotes: '"', loader: 'insert', batchSize: 3}).should.eventually.equal(4);
+        });
+        
+        it('Emits Events for Each Phase of an Import', function(){
+            let events = [],
+                names = ['staging-created', 'load-started', 'progress', 'load-finished', 'swapped'],
+                listeners = names.map(function(name){
+                    let listener = function(details){ events.push([name, details.rows]); };
+                    mysql.on(name, listener);
+                    return listener;
+                });
+            return mysql.importFileToTable({filepath: './test/data.csv', quotes: '"', loader: 'insert', batchSize: 3})
+            .then(function(){
+                names.forEach(function(name, i){ mysql.removeListener(name, listeners[i]); });
+                return events;
+            }).should.eventually.deep.equal([
+                ['staging-created', undefined],
+                ['load-started', undefined],
+                ['progress', 3],
+                ['progress', 4],
+                ['load-finished', 4],
+                ['swapped', undefined]
+            ]);
+        });
+        
+        it('Upserts a File into an Existing Table', function(){
+            return mysql.query('CREATE TABLE IF NOT EXISTS contacts (email VARCHAR(255) PRIMARY KEY, first VARCHAR(255), last VARCHAR(255))')
+            .then(function(){
+                return mysql.importFileToTable({filepath: './test/data.csv', table: 'contacts', quotes: '"'});
+            })
+            .then(function(){
+                return mysql.importFileToTable({filepath: './test/data4.csv', table: 'contacts', quotes: '"', mode: 'upsert', key: 'email'});
+            }).should.eventually.deep.equal({rows: 3, inserted: 1, updated: 1, skipped: 1});
+        });
+        
+        it('Skips Duplicate Rows when Importing in Ignore Mode', function(){
+            return mysql.importFileToTable({filepath: './test/data4.csv', table: 'contacts', quotes: '"', mode: 'ignore'}).should.eventually.deep.equal({rows: 3, inserted: 0, updated: 0, skipped: 3});
+        });
+        
+        it('Drops the Staging Table when Appending Duplicate Keys Fails', function(){
+            return mysql.importFileToTable({filepath: './test/data4.csv', table: 'contacts', quotes: '"', mode: 'append'}).should.eventually.be.rejected
+            .then(function(){
+                return mysql.tableExists('contacts_staging').should.eventually.be.rejected;
+            });
+        });
+        
+        it('Diffs the Staging Table with the Table Before Swapping', function(){
+            return mysql.importFileToTable({filepath: './test/data.csv', table: 'contacts', quotes: '"', diff: true})
+            .then(function(results){
+                return Promise.all([results.diff, mysql.query('SELECT email FROM contacts_removed'), mysql.query('SELECT email, last FROM contacts_changed')]);
+            })
+            .then(function(results){
+                return [results[0], results[1].map(function(row){ return row.email; }), results[2].map(function(row){ return [row.email, row.last]; })];
+            }).should.eventually.deep.equal([
+                {added: 0, removed: 1, changed: 1, tables: {added: 'contacts_added', removed: 'contacts_removed', changed: 'contacts_changed'}},
+                ['finn@rebels.com'],
+                [['rey@jedi.com', '']]
+            ]);
+        });
+        
+        it('Diffs Two Tables and Exports the Changes', function(){
+            return mysql.diffTables({left: 'contacts_changed', right: 'contacts', key: 'email', files: {added: {filepath: './test/export.out', exporter: 'stream', orderBy: 'email'}}})
+            .then(function(results){
+                return [results, fs.readFileSync('./test/export.out', 'utf8').split('\n')[1]];
+            }).should.eventually.deep.equal([{added: 3, removed: 0, changed: 0, files: {added: 4}}, 'hansolo@solosmuggling.com,han,Solo']);
+        });
+        
+        it('Rejects a Diff in Modes Other than Replace', function(){
+            return mysql.importFileToTable({filepath: './test/data4.csv', table: 'contacts', quotes: '"', mode: 'upsert', diff: true}).should.be.rejectedWith(/replace mode/);
+        });
+        
+        it('Reports Warnings Raised While Importing', function(){
+            return mysql.importFileToTable({filepath: './test/bad.csv', table: 'data', quotes: '"', report: true})
+            .then(function(results){
+                return [results.rows, results.warningCount, results.warnings.map(function(warning){ return warning.line; })];
+            }).should.eventually.deep.equal([2, 2, [2, 3]]);
+        });
+        
+        it('Rejects an Import with More Warnings than maxErrors and Leaves the Table Alone', function(){
+            return mysql.importFileToTable({filepath: './test/bad.csv', table: 'data', quotes: '"', maxErrors: 1}).should.eventually.be.rejected
+            .then(function(){
+                return mysql.tableExists('data_staging').should.eventually.be.rejected;
+            });
+        });
+        
+        it('Counts Lines with the Wrong Number of Fields as Warnings with Batched Inserts', function(){
+            return mysql.importFileToTable({filepath: './test/bad.csv', table: 'data', quotes: '"', loader: 'insert', maxErrors: 0}).should.eventually.be.rejected
+            .then(function(err){
+                return [err.report.warningCount, err.report.warnings.map(function(warning){ return warning.line; })];
+            }).should.eventually.deep.equal([2, [2, 3]]);
+        });
+        
+        it('Rejects an Invalid File Before Creating a Table', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/vendor.csv', validate: {rules: {Email: {unique: true}}}}).should.eventually.be.rejected
+            .then(function(err){
+                // The duplicate email, plus the line with a missing field and the badly encoded line every validation reports
+                err.report.errors.map(function(error){ return [error.line, error.rule]; }).should.deep.equal([[4, 'unique'], [5, 'columns'], [7, 'encoding']]);
+                return mysql.tableExists('vendor').should.eventually.be.rejected;
+            });
+        });
+        
+        it('Reports Columns Added, Missing and Moved in a File', function(){
+            return mysql.detectDrift({filepath: './test/drift.csv', table: 'data'})
+            .then(function(drift){
+                return [drift.added, drift.missing, drift.reordered, drift.mapping];
+            }).should.eventually.deep.equal([['zip'], ['last'], ['first', 'email'], ['first', 'email', null]]);
+        });
+        
+        it('Rejects a Drifted File with the Fail Policy', function(){
+            return mysql.importFileToTable({filepath: './test/drift.csv', table: 'data', drift: 'fail'}).should.eventually.be.rejected
+            .then(function(err){
+                err.report.added.should.deep.equal(['zip']);
+                return mysql.tableExists('data_staging').should.eventually.be.rejected;
+            });
+        });
+        
+        it('Loads Columns by Name and Skips Extra Columns', function(){
+            return mysql.importFileToTable({filepath: './test/drift.csv', table: 'data', drift: 'ignore-extra'})
+            .then(function(){
+                return mysql.query('SELECT email, first, last FROM data WHERE email = ?', 'rey@jedi.com');
+            })
+            .then(function(rows){
+                return rows.map(function(row){ return [row.email, row.first, row.last]; });
+            }).should.eventually.deep.equal([['rey@jedi.com', 'Rey', null]]);
+        });
+        
+        it('Loads Columns by Name and Reports Drift by Default', function(){
+            let drifts = [];
+            let listener = function(drift){ drifts.push([drift.policy, drift.added, drift.missing]); };
+            mysql.on('drift', listener);
+            return mysql.importFileToTable({filepath: './test/drift.csv', table: 'data'})
+            .then(function(){
+                mysql.removeListener('drift', listener);
+                return mysql.query('SELECT email, first, last FROM data WHERE email = ?', 'poedameron@rebels.com');
+            })
+            .then(function(rows){
+                return [drifts, rows.map(function(row){ return [row.email, row.first, row.last]; })];
+            }).should.eventually.deep.equal([[['ignore-extra', ['zip'], ['last']]], [['poedameron@rebels.com', 'Poe', null]]]);
+        });
+        
+        it('Loads Columns by Position with the Position Policy', function(){
+            return mysql.importFileToTable({filepath: './test/drift.csv', table: 'data', drift: 'position'})
+            .then(function(){
+                return mysql.query('SELECT email, first, last FROM data WHERE first = ?', 'poedameron@rebels.com');
+            })
+            .then(function(rows){
+                return rows.map(function(row){ return [row.email, row.first, row.last]; });
+            }).should.eventually.deep.equal([['Poe', 'poedameron@rebels.com', '12345']]);
+        });
+        
+        it('Adds the Extra Columns of a File to the Table', function(){
+            return mysql.query('CREATE TABLE IF NOT EXISTS drifted (email VARCHAR(255), first VARCHAR(255))')
+            .then(function(){
+                return mysql.importFileToTable({filepath: './test/drift.csv', table: 'drifted', drift: 'auto-add-columns', loader: 'insert'});
+            })
+            .then(function(rows){
+                return Promise.all([rows, mysql.getTableHeaders('drifted')]);
+            }).should.eventually.deep.equal([2, ['email', 'first', 'zip']]);
+        });
+        
+        it('Maps Headers to Columns and Transforms Values', function(){
+            let transforms = {email: ['trim', 'lower', 'nullIfEmpty'], first: 'trim', signup: {date: 'MM/DD/YYYY'}};
+            return mysql.query('CREATE TABLE IF NOT EXISTS signups (email VARCHAR(255), first VARCHAR(255), signup DATE)')
+            .then(function(){
+                return mysql.importFileToTable({filepath: './test/mapped.csv', table: 'signups', map: {'First Name': 'first', 'Email Address': 'email'}, transforms: transforms});
+            })
+            .then(function(){
+                return mysql.query("SELECT email, first, DATE_FORMAT(signup, '%Y-%m-%d') AS signup FROM signups ORDER BY signup");
+            })
+            .then(function(rows){
+                return rows.map(function(row){ return [row.email, row.first, row.signup]; });
+            }).should.eventually.deep.equal([['poedameron@rebels.com', 'Poe', '2020-01-31'], [null, 'Rey', '2020-02-01']]);
+        });
+        
+        it('Transforms Values the Same Way with Batched Inserts', function(){
+            return mysql.importFileToTable({filepath: './test/mapped.csv', table: 'signups', map: {First_Name: 'first', Email_Address: 'email'}, transforms: {email: ['trim', 'lower'], signup: {date: '%m/%d/%Y'}}, loader: 'insert'})
+            .then(function(){
+                return mysql.query("SELECT email FROM signups WHERE signup = '2020-01-31'");
+            })
+            .then(function(rows){
+                return rows.map(function(row){ return row.email; });
+            }).should.eventually.deep.equal(['poedameron@rebels.com']);
+        });
+        
+        it('Reads Literal Text in Brackets in Date Formats', function(){
+            return mysql.query('CREATE TABLE IF NOT EXISTS visits (email VARCHAR(255), seen DATETIME)')
+            .then(function(){
+                return mysql.importFileToTable({filepath: './test/visits.csv', transforms: {seen: {date: 'YYYY-MM-DD[T]HH:mm:ss'}}});
+            })
+            .then(function(){
+                return mysql.query("SELECT DATE_FORMAT(seen, '%Y-%m-%d %H:%i:%s') AS seen FROM visits");
+            }).should.eventually.deep.equal([{seen: '2020-01-31 09:30:00'}]);
+        });
+        
+        it('Rejects Letters in Date Formats that Are Not Tokens', function(){
+            return mysql.importFileToTable({filepath: './test/visits.csv', transforms: {seen: {date: 'D-Mon-YYYY'}}}).should.be.rejectedWith(/Unknown date token "o"/);
+        });
+        
+        it('Rejects Unknown Transforms Before Loading', function(){
+            return mysql.importFileToTable({filepath: './test/mapped.csv', table: 'signups', transforms: {email: 'shout'}}).should.be.rejectedWith(/Unknown transform/);
+        });
+        
+        it('Creates a Table From an NDJSON File', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/data.ndjson', table: 'people', format: 'ndjson'})
+            .then(function(){
+                return mysql.query('SHOW COLUMNS FROM people');
+            })
+            .then(function(columns){
+                return columns.map(function(column){ return [column.Field, column.Type]; });
+            }).should.eventually.deep.equal([['id', 'varchar(1000)'], ['name', 'varchar(1000)'], ['address_city', 'varchar(1000)'], ['address_zip', 'varchar(1000)'], ['tags', 'json'], ['active', 'varchar(1000)']]);
+        });
+        
+        it('Imports a JSON Array File Into an Existing Table', function(){
+            return mysql.importFileToTable({filepath: './test/data.json', table: 'people', format: 'json', map: {note: null}})
+            .then(function(){
+                return mysql.query('SELECT id, name, address_city, tags FROM people ORDER BY id');
+            })
+            .then(function(rows){
+                return rows.map(function(row){ return [row.id, row.name, row.address_city, row.tags]; });
+            }).should.eventually.deep.equal([['1', 'Rey', 'Jakku', null], ['2', 'Finn', 'Takodana', null]]);
+        });
+        
+        it('Loads JSON Keys into the Columns of the Same Name', function(){
+            return mysql.importFileToTable({filepath: './test/reordered.ndjson', table: 'people', format: 'ndjson'})
+            .then(function(){
+                return mysql.query('SELECT id, name, address_city, address_zip, tags, active FROM people ORDER BY id');
+            })
+            .then(function(rows){
+                return rows.map(function(row){ return [row.id, row.name, row.address_city, row.address_zip, row.tags, row.active]; });
+            }).should.eventually.deep.equal([['4', 'Leia', 'Alderaan', '30003', null, '1'], ['5', 'Han', 'Hoth', null, null, '0']]);
+        });
+        
+        it('Rejects Files That Are Not JSON Arrays', function(){
+            return mysql.importFileToTable({filepath: './test/data.ndjson', table: 'people', format: 'json'}).should.be.rejectedWith(/JSON array of objects/);
+        });
+        
+        it('Removes Duplicate Keys Before Adding the Index', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/dupes.csv', table: 'dupes', quotes: '"', index: 'email', dedupe: {keys: 'email', normalize: true, keep: 'most-complete'}})
+            .then(function(results){
+                return Promise.all([results.removed, mysql.query('SELECT email, first, last FROM dupes ORDER BY email'), mysql.query("SHOW INDEX FROM dupes WHERE Key_name = 'email'")]);
+            })
+            .then(function(results){
+                return [results[0], results[1].map(function(row){ return [row.email, row.first, row.last]; }), results[2].length];
+            }).should.eventually.deep.equal([2, [['finn@rebels.com', 'Finn', ''], ['rey@jedi.com', 'Rey', 'Skywalker']], 1]);
+        });
+        
+        it('Dedupes a Table Without Window Functions', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/dupes.csv', table: 'dupes2', quotes: '"'})
+            .then(function(){
+                return mysql.dedupeTable({table: 'dupes2', keys: 'email', normalize: ['trim', 'lower'], keep: 'last', method: 'group'});
+            })
+            .then(function(results){
+                return Promise.all([results, mysql.query('SELECT last FROM dupes2 ORDER BY email')]);
+            })
+            .then(function(results){
+                return [results[0], results[1].map(function(row){ return row.last; })];
+            }).should.eventually.deep.equal([{rows: 2, removed: 2, method: 'group'}, ['FN-2187', 'Skywalker']]);
+        });
+        
+        it('Dedupes in Place, Keeping Foreign Keys and Other Staging Tables', function(){
+            return mysql.query('CREATE TABLE members (id INT AUTO_INCREMENT PRIMARY KEY, email VARCHAR(255)) ENGINE=InnoDB')
+            .then(function(){
+                return mysql.query("INSERT INTO members (email) VALUES ('rey@jedi.com'), ('finn@rebels.com'), (' REY@jedi.com')");
+            })
+            .then(function(){
+                return mysql.query('CREATE TABLE member_notes (member_id INT, FOREIGN KEY (member_id) REFERENCES members (id)) ENGINE=InnoDB');
+            })
+            .then(function(){
+                return mysql.query('INSERT INTO member_notes VALUES (1)');
+            })
+            .then(function(){
+                // An import into members could be loading its staging table while the dedupe runs
+                return mysql.query('CREATE TABLE members_staging LIKE members');
+            })
+            .then(function(){
+                return mysql.dedupeTable({table: 'members', keys: 'email', normalize: true});
+            })
+            .then(function(results){
+                return Promise.all([results.removed, mysql.query('SELECT id, email FROM members ORDER BY id'), mysql.query('SHOW CREATE TABLE member_notes'), mysql.tableExists('members_staging')]);
+            })
+            .then(function(results){
+                return [results[0], results[1].map(function(row){ return [row.id, row.email]; }), /REFERENCES `members`/.test(results[2][0]['Create Table'])];
+            }).should.eventually.deep.equal([1, [[1, 'rey@jedi.com'], [2, 'finn@rebels.com']], true]);
+        });
+        
+        it('Rejects an Unknown Row to Keep', function(){
+            return mysql.dedupeTable({table: 'dupes2', keys: 'email', keep: 'best'}).should.be.rejectedWith(/Unknown keep/);
+        });
+        
         it('Creates a New Table Using a File and Imports File', function(){
             return mysql.importFileAndCreateTable({filepath: './test/data.csv', table: 'data2', headers: ['email', 'first'], quotes: '"'}).should.eventually.equal(4);
         });
+        
+        it('Leaves the Existing Table Alone When an Overwrite Fails', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/data.csv', table: 'kept', quotes: '"'})
+            .then(function(){
+                return mysql.importFileAndCreateTable({filepath: './test/bad.csv', table: 'kept', quotes: '"', overwrite: true, maxErrors: 0}).should.eventually.be.rejected;
+            })
+            .then(function(){
+                return Promise.all([mysql.query('SELECT COUNT(*) AS count FROM kept'), mysql.tableExists('kept_staging').then(function(){ return true; }, function(){ return false; })]);
+            })
+            .then(function(results){
+                return [results[0][0].count, results[1]];
+            }).should.eventually.deep.equal([4, false]);
+        });
+        
+        it('Imports a File into a Table Named with Dashes and Spaces', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/data.csv', table: 'data-3 copy', quotes: '"'})
+            .then(function(rows){
+                return mysql.dropTable('data-3 copy').then(function(){ return rows; });
+            }).should.eventually.equal(4);
+        });
+        
+        it('Infers Column Types When Creating a Table from a File', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/types.csv', quotes: '"', infer: true, columns: {note: 'TEXT'}}).should.eventually.deep.equal({
+                rows: 3,
+                schema: [
+                    {name: 'id', type: 'INT'},
+                    {name: 'zip', type: 'VARCHAR(255)'},
+                    {name: 'price', type: 'DECIMAL(5,2)'},
+                    {name: 'active', type: 'TINYINT(1)'},
+                    {name: 'signup', type: 'DATE'},
+                    {name: 'lastseen', type: 'DATETIME'},
+                    {name: 'bigid', type: 'BIGINT'},
+                    {name: 'note', type: 'TEXT'}
+                ]
+            });
+        });
+        
+        it('Leaves Room for Longer Values Past the Inferred Sample', function(){
+            return mysql.importFileAndCreateTable({filepath: './test/long.csv', infer: 2})
+            .then(function(results){
+                return Promise.all([results.schema, mysql.query('SELECT LENGTH(name) AS length FROM `long` WHERE id = 3')]);
+            })
+            .then(function(results){
+                return [results[0], results[1][0].length];
+            }).should.eventually.deep.equal([[{name: 'id', type: 'INT'}, {name: 'name', type: 'VARCHAR(255)'}], 200]);
+        });
     });
     
     describe('Exports', function(){
@@ -149,6 +812,105 @@ describe('File Methods', function(){
                 done();
             }).catch(done);
         });
+        
+        it('Streams a Table to a Local File', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export2.csv', table: 'data2', exporter: 'stream'})
+            .then(function(results){
+                return [results, fs.readFileSync(__dirname + '/export2.csv', 'utf8').split('\n')[0]];
+            }).should.eventually.deep.equal([5, 'email,first']);
+        });
+        
+        it('Emits Progress and Exported Events for a Streamed Export', function(){
+            let events = [],
+                progress = function(details){ events.push(['progress', details.rows, details.bytes > 0]); },
+                exported = function(details){ events.push(['exported', details.rows, details.exporter]); };
+            mysql.on('progress', progress);
+            mysql.on('exported', exported);
+            return mysql.exportFileFromTable({filepath: __dirname + '/export2.csv', table: 'data2', exporter: 'stream'})
+            .then(function(){
+                mysql.removeListener('progress', progress);
+                mysql.removeListener('exported', exported);
+                return events;
+            }).should.eventually.deep.equal([['progress', 4, true], ['exported', 4, 'stream']]);
+        });
+        
+        it('Streams a Table to a Gzipped File', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export4.csv.gz', table: 'data2', exporter: 'stream'})
+            .then(function(results){
+                return [results, zlib.gunzipSync(fs.readFileSync(__dirname + '/export4.csv.gz')).toString('utf8').split('\n')[0]];
+            }).should.eventually.deep.equal([5, 'email,first']);
+        });
+        
+        it('Streams a Gzipped Export by Default', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export5.csv.gz', table: 'data2'})
+            .then(function(results){
+                return [results, zlib.gunzipSync(fs.readFileSync(__dirname + '/export5.csv.gz')).toString('utf8').split('\n')[0]];
+            }).should.eventually.deep.equal([5, 'email,first']);
+        });
+        
+        it('Rejects a Gzipped Export with the Outfile Exporter', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export6.csv.gz', table: 'data2', exporter: 'outfile'}).should.eventually.be.rejected;
+        });
+        
+        it('Exports Filtered and Sorted Rows', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export3.csv', table: 'data2', exporter: 'stream', where: 'first <> ?', params: ['Rey'], orderBy: 'email DESC', limit: 2})
+            .then(function(results){
+                return fs.readFileSync(__dirname + '/export3.csv', 'utf8');
+            }).should.eventually.equal('email,first\npoedameron@rebels.com,Poe\nkyloren@firstorder.com,Kylo\n');
+        });
+        
+        it('Exports the Results of a Query', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export3.csv', sql: 'SELECT email FROM data2 WHERE first = ?', params: ['Poe'], exporter: 'stream'})
+            .then(function(results){
+                return [results, fs.readFileSync(__dirname + '/export3.csv', 'utf8')];
+            }).should.eventually.deep.equal([2, 'email\npoedameron@rebels.com\n']);
+        });
+        
+        it('Exports NDJSON with Numbers and NULLs as JSON Values', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export.out', sql: 'SELECT email, 12.50 AS total, NULL AS note FROM data2 WHERE first = ?', params: ['Poe'], format: 'ndjson'})
+            .then(function(results){
+                return [results, fs.readFileSync(__dirname + '/export.out', 'utf8')];
+            }).should.eventually.deep.equal([1, '{"email":"poedameron@rebels.com","total":12.50,"note":null}\n']);
+        });
+        
+        it('Exports a JSON Array', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export.out', table: 'data2', format: 'json'})
+            .then(function(results){
+                return [results, JSON.parse(fs.readFileSync(__dirname + '/export.out', 'utf8')).length];
+            }).should.eventually.deep.equal([4, 4]);
+        });
+        
+        it('Exports MySQL Tab Separated Text', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export.out', sql: 'SELECT email, NULL AS note FROM data2 WHERE first = ?', params: ['Poe'], format: 'tsv'})
+            .then(function(){
+                return fs.readFileSync(__dirname + '/export.out', 'utf8');
+            }).should.eventually.equal('email\tnote\npoedameron@rebels.com\t\\N\n');
+        });
+        
+        it('Exports Fixed Width Records', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export.out', sql: 'SELECT first, 42 AS n FROM data2 WHERE first = ?', params: ['Poe'], format: 'fixed-width', widths: [6, 4], align: {n: 'right'}, header: false})
+            .then(function(){
+                return fs.readFileSync(__dirname + '/export.out', 'utf8');
+            }).should.eventually.equal('Poe     42\n');
+        });
+        
+        it('Rejects a Value Longer than its Fixed Width', function(){
+            return mysql.exportFileFromTable({filepath: __dirname + '/export.out', table: 'data2', format: 'fixed-width', widths: {email: 10, first: 10}, header: false}).should.eventually.be.rejected;
+        });
+        
+        it('Splits an Export into Part Files with a Manifest', function(){
+            return mysql.exportFileFromTable({filepath: './test/parts.csv', table: 'data2', maxRows: 3})
+            .then(function(manifest){
+                return [manifest.rows].concat(manifest.files.map(function(file){
+                    let contents = fs.readFileSync(file.filepath);
+                    return [file.filepath, file.rows, contents.toString('utf8').split('\n')[0], file.bytes === contents.length, file.sha256 === crypto.createHash('sha256').update(contents).digest('hex')];
+                }));
+            }).should.eventually.deep.equal([4, ['./test/parts_001.csv', 3, 'email,first', true, true], ['./test/parts_002.csv', 1, 'email,first', true, true]]);
+        });
+        
+        it('Rejects Part Files with the Outfile Exporter', function(){
+            return mysql.exportFileFromTable({filepath: './test/parts.csv', table: 'data2', maxBytes: 1000, exporter: 'outfile'}).should.be.rejectedWith(/stream exporter/);
+        });
     });
     
     describe('Merging', function(){
@@ -213,6 +975,106 @@ describe('File Methods', function(){
                 done();
             }).catch(done);
         });
+        
+        it('Keeps Rows Missing from a Secondary File with a Left Join', function(){
+            let files = [
+                {filepath: './test/data.csv', table: 'leftcontacts', index: 'email', quotes: '"'},
+                {filepath: './test/data5.csv', table: 'leftalliances', index: 'email', quotes: '"'}
+            ];
+            let joins = [
+                {table: 'leftcontacts'},
+                {table: 'leftalliances', type: 'left', on: {'leftcontacts.leftcontacts_email': 'leftalliances.leftalliances_email'}}
+            ];
+            return mysql.mergeFiles(files, joins, __dirname + '/merged3.csv').should.eventually.equal(5);
+        });
+        
+        it('Keeps Rows Missing from Either File with a Full Join', function(){
+            let files = [
+                {filepath: './test/data.csv', table: 'fullcontacts', index: 'email', quotes: '"'},
+                {filepath: './test/data5.csv', table: 'fullalliances', index: 'email', quotes: '"'}
+            ];
+            let joins = [
+                {table: 'fullcontacts'},
+                {table: 'fullalliances', type: 'full', on: {'fullcontacts.fullcontacts_email': 'fullalliances.fullalliances_email'}}
+            ];
+            return mysql.mergeFiles(files, joins, __dirname + '/merged4.csv').should.eventually.equal(6);
+        });
+        
+        it('Picks, Renames and Coalesces the Merged Columns', function(){
+            let files = [
+                {filepath: './test/data.csv', table: 'outcontacts', index: 'email', quotes: '"'},
+                {filepath: './test/data5.csv', table: 'outalliances', index: 'email', quotes: '"'}
+            ];
+            let joins = [
+                {table: 'outcontacts'},
+                {table: 'outalliances', type: 'full', on: {'outcontacts.outcontacts_email': 'outalliances.outalliances_email'}}
+            ];
+            let output = {
+                filepath: __dirname + '/merged5.csv',
+                exporter: 'stream',
+                distinct: true,
+                orderBy: 'email',
+                columns: [
+                    {name: 'email', from: ['outcontacts.outcontacts_email', 'outalliances.outalliances_email']},
+                    {name: 'first', from: 'outcontacts.outcontacts_first'},
+                    {name: 'alliance', from: 'outalliances.outalliances_alliance'}
+                ]
+            };
+            return mysql.mergeFiles(files, joins, output)
+            .then(function(){
+                return fs.readFileSync(__dirname + '/merged5.csv', 'utf8').split('\n');
+            }).should.eventually.deep.equal([
+                'email,first,alliance',
+                'finn@rebels.com,,Resistance',
+                'hansolo@solosmuggling.com,han,',
+                'kyloren@firstorder.com,Kylo,',
+                'poedameron@rebels.com,Poe,Resistance',
+                'rey@jedi.com,Rey,Resistance',
+                ''
+            ]);
+        });
+        
+        it('Merges Files Using Temporary Tables', function(){
+            let files = [
+                {filepath: './test/data.csv', table: 'tempcontacts', index: 'email', quotes: '"'},
+                {filepath: './test/data5.csv', table: 'tempalliances', index: 'email', quotes: '"'}
+            ];
+            let joins = [
+                {table: 'tempcontacts'},
+                {table: 'tempalliances', type: 'left', on: {'tempcontacts.tempcontacts_email': 'tempalliances.tempalliances_email'}}
+            ];
+            return mysql.mergeFiles(files, joins, {filepath: __dirname + '/merged6.csv', exporter: 'stream'}, {temporary: true}).should.eventually.equal(5);
+        });
+        
+        it('Drops the Merge Tables When a Step Fails', function(){
+            let files = [
+                {filepath: './test/data.csv', table: 'failcontacts', index: 'email', quotes: '"'},
+                {filepath: './test/bad.csv', table: 'failbad', index: 'email', quotes: '"', maxErrors: 0}
+            ];
+            return mysql.mergeFiles(files, {'failcontacts.failcontacts_email': 'failbad.failbad_email'}, __dirname + '/merged7.csv').should.eventually.be.rejected
+            .then(function(){
+                return mysql.query("SHOW TABLES LIKE 'fail%'");
+            }).should.eventually.deep.equal([]);
+        });
+        
+        it('Rejects an Unknown Join Type', function(){
+            let files = [
+                {filepath: './test/data.csv', table: 'badcontacts', index: 'email', quotes: '"'},
+                {filepath: './test/data5.csv', table: 'badalliances', index: 'email', quotes: '"'}
+            ];
+            return mysql.mergeFiles(files, [{table: 'badcontacts'}, {table: 'badalliances', type: 'outer', on: {'badcontacts.badcontacts_email': 'badalliances.badalliances_email'}}], __dirname + '/merged8.csv').should.eventually.be.rejected;
+        });
+        
+        it('Rejects Column References to Tables that Are Not Merged', function(){
+            let files = [
+                {filepath: './test/data.csv', table: 'badcontacts', index: 'email', quotes: '"'},
+                {filepath: './test/data5.csv', table: 'badalliances', index: 'email', quotes: '"'}
+            ];
+            return Promise.all([
+                mysql.mergeFiles(files, [{table: 'badcontacts'}, {table: 'badalliances', on: {'badcontcts.badcontacts_email': 'badalliances.badalliances_email'}}], __dirname + '/merged8.csv').should.be.rejectedWith(/badcontcts isn't one of the files being merged/),
+                mysql.mergeFiles(files, [{table: 'badcontacts'}, {table: 'badalliances', on: {'badcontacts.badcontacts_email': 'badalliances.badalliances_email'}}], {filepath: __dirname + '/merged8.csv', columns: ['badcontacts.badcontacts_email', 'alliances.badalliances_alliance']}).should.be.rejectedWith(/alliances isn't one of the files being merged/)
+            ]);
+        });
     });
     
 });
\ No newline at end of file